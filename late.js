@@ -19,11 +19,11 @@
  * = Scope identifiers
  * {{#}}                -  Always gives root scope of current template data that is being parsed
  * {{$}}                -  {{each}} {{get}} block local level scope - this does not seek from parent scope if value is not found
- * {{&}}                -  window scope
+ * {{&}}                -  global scope (window in browsers, globalThis in Node and workers) - see late.globalScope
  *
  * = Special cases
  * parenthesis          -  When parenthesis is used inside {{}} tags that part is considered to be function call to
- *                         window scope eg. {{if parseInt(10) === 10}} that would use native parseInt function.
+ *                         global scope eg. {{if parseInt(10) === 10}} that would use native parseInt function.
  *                         if template data function is required to be called that is just called without any
  *                         parenthesis and parser sees that it's function and passes whole current scope as argument
  *
@@ -31,24 +31,107 @@
  * {{> [function]]}}     - Void function call
  * {{>> [function]]}}    - Function call with return value
  * {{% [template]]}}    -  Call template inside template with current data context
- * {{if [arguments]}}   -  If clause that can have valid js reserved words (undefined, true, false, null and
- *                          empty string) and call to global scope with &, # or has parenthesis.
- *                          Valid operands are &&, ||, ===, !==, <= and => so it has to be type checked data.
- * {{else}}             -  Open if clause can have single else inside current if block
+ * {{% [template] [name=value]}}...{{/%}} - Partial with named arguments gets context that has only the arguments.
+ *                         Closed partial gets its content as slots: {{fill "name"}}...{{/fill}} sections are named
+ *                         slots and rest is default slot. {{/% template}} closes partial of that name.
+ * {{slot}}             -  Inside partial renders default slot content with context of caller, {{slot "name"}}
+ *                         renders named slot
+ *                         Including template again with same data or deeper than late.maxDepth (100) is refused.
+ * {{if [arguments]}}   -  If clause that can have valid js reserved words (undefined, true, false, null),
+ *                          string literals with escapes ("a, b" or 'it\'s'), numbers (1.5, -3) and call to global
+ *                          scope with &, # or has parenthesis. Calls can be nested eg. fmt(#.price, round(1.5)).
+ *                          Valid operators are ===, !==, ==, !=, <, <=, > and >=, then ! and finally && before ||.
+ *                          Parenthesis without function name group sub-expressions eg. !(a || b) && c.
+ * {{else if [arguments]}} - Next branch of open if clause, also written {{elseif [arguments]}}
+ * {{else}}             -  Open if clause can have single final else inside current if block
  * {{/if}}              -  Closest open if clause
- * {{each}}             -  Iterate given Object through. Valid values are all items in current scope, &, # or
- *                         parenthesis function call. Inside scope data can be accessed by object keys or if value is
- *                         not Object then	through {{$value}} and there is always {{$index}} that has current index of
- *                         iterated data.
+ * {{each}}             -  Iterate given Array, typed array, Map, Set, other iterable or Object keys through. Valid
+ *                         values are all items in current scope, &, # or parenthesis function call. Inside scope data
+ *                         can be accessed by object keys or through {{$value}}. Loop metadata is not written to
+ *                         data: {{$index}} (Object key for Objects), {{$key}} (index, Object or Map key),
+ *                         {{$first}}, {{$last}}, {{$length}} and {{$parent}} that has data of enclosing scope.
+ *                         {{each items key=id}} gives items keys that renderInto uses to move reordered rows.
+ * {{else}}             -  Inside each block renders rest of block when there is nothing to iterate
  * {{/each}}            -  Closes each block
  * {{get}}              -  Get given item value and make it as a new scope. For example function call return value
  *                         goes to $ and gives easy access to that value
  * {{/get}}             -  Closes get block
+ * {{promise [value] [timeout=ms]}} - Render content with resolved value of promise into document when it settles.
+ *                         Array values are looped. Optional branches: {{pending}} is shown until then, {{catch err}}
+ *                         renders rejection error as err (error by default) and {{timeout}} is rendered when promise
+ *                         is not settled in timeout (or render option timeout). Render option signal (AbortSignal)
+ *                         cancels unsettled promise sections. Requires document of global scope.
+ * {{/promise}}         -  Closes promise block
+ * {{extends "layout"}} -  Render layout template instead of this template. Blocks of this template override blocks
+ *                         of layout with same name and rest of template is left out. Name without quotes is looked
+ *                         up from data like {{% template}}. Layout can extend another layout.
+ * {{block "name"}}     -  Named block that renders content of most derived template overriding it and own content
+ *                         as default. Quotes of name are optional.
+ * {{/block}}           -  Closes block
+ * {{super}}            -  Inside overriding block renders content of block it overrides
+ * {{t [key] [name=value]}} - Translated message from catalogs added with late.addMessages. Messages use ICU syntax:
+ *                         {name}, {count, plural, =0 {none} one {# item} other {# items}}, {gender, select, ...},
+ *                         {total, number} and {day, date, long}. Interpolated values are escaped, message text is
+ *                         not. Missing messages are looked up from base language and late.fallbackLocale.
+ * {{on "event" [handler] [arguments]}} - Inside start tag binds event handler found from data (or registered helper)
+ *                         when rendered with late.renderInto eg. <button {{on "click" remove id}}>. Handler gets
+ *                         arguments, event and the element.
  *
+ * = Filters
+ * {{value | filter:arg:arg}} - Pipe value through filters, usable in any tag argument eg.
+ *                         {{each items | default:#.empty}}
+ *                         Pipe has lowest precedence so compare filtered values in parenthesis:
+ *                         {{if (items | length) > 0}}. Built-in: upper, lower, trim, truncate, json, default, join and
+ *                         length. Register own with late.registerFilter.
+ *
+ * = Intl helpers
+ * number, currency, date, relativeTime, plural and list wrap Intl formatters and can be used as helpers
+ * {{>> currency(price, "EUR")}} or filters {{price | currency:"EUR"}}. Locale comes from render option
+ * late.render(name, view, {locale: 'fi-FI'}), then late.locale or environment locale option.
+ *
+ * = Escaping
+ * {{name}} output is escaped by where it is written: text and attribute values are HTML escaped, URL attributes
+ * (href, src...) replace other than http, https, mailto, tel, ftp and sms schemes, style values allow only plain CSS,
+ * <script> content is written as JSON literal and writing inside event handler attributes is refused. Value that
+ * follows other value at start of URL is removed if it could complete URL scheme. Whole output of partial written
+ * inside attribute, URL, style or script is escaped for that context like single value.
+ *
+ * Output mode (late.mode, environment or render option mode) switches escaping for non HTML output: text writes
+ * values as is, json escapes for JSON string content and csv quotes fields. late.escape replaces HTML escaping.
+ *
+ * = Whitespace
+ * By default runs of spaces in template text are collapsed and tabs and newlines removed. Parse option
+ * {whitespace: 'preserve'} (or same environment option) keeps text exactly as authored.
+ * {{~ ... ~}}          -  Whitespace control: ~ after opening tag trims whitespace before the tag and ~ before
+ *                         closing tag trims whitespace after the tag
+ *
+ * = Streaming
+ * late.renderStream returns async iterator of output chunks and late.renderReadableStream ReadableStream of them.
+ * Template is rendered only as far as chunks are read. Options chunkSize and timeSlice (ms) tune chunking.
+ *
+ * = DOM rendering
+ * late.renderInto(element, name, view) renders into element and re-rendering patches only changed nodes so focus and
+ * input state are kept. Keyed each items are matched by key.
  */
 
 'use strict'; // jshint ignore:line
-(function(window) {
+(function(root, factory) {
+	/* global define, module */
+	if (typeof define === 'function' && define.amd) {
+		// AMD loader
+		define([], function() {
+			return factory(root);
+		});
+
+	} else if (typeof module === 'object' && module.exports) {
+		// CommonJS (Node and bundlers) - ES modules get it only as default import through CommonJS interop
+		module.exports = factory(root);
+
+	} else {
+		// Plain or module script tag and worker importScripts - module script gets no export, only root.late
+		root.late = factory(root);
+	}
+}(typeof globalThis !== 'undefined' ? globalThis : typeof self !== 'undefined' ? self : this, function(root) {
 	/**
 	 * @typedef {Writer} lateWriter
 	 */
@@ -76,33 +159,131 @@
 	const whiteRe = /\s*/;
 
 	/**
-	 * Tag list parsed except else and closing / that are special tags that do not have space before closing }}
+	 * Whitespace control marker right after opening tag or right before closing tag eg. {{~ name ~}}
+	 * @type {RegExp}
+	 */
+	const trimRe = /^~/;
+
+	/**
+	 * If keyword of {{else if ...}} and {{elseif ...}} tag value
+	 * @type {RegExp}
+	 */
+	const elseIfRe = /^if(?![\w$])\s*/;
+
+	/**
+	 * Quoted name of {{block "name"}} and {{extends "name"}}
+	 * @type {RegExp}
+	 */
+	const quotedNameRe = /^(["'])(.*)\1$/;
+
+	/**
+	 * Tags that open section closed with {{/type}}
 	 * @type {string[]}
 	 */
-	const tagReList = ['>', '>>', '%', 'if', 'html', 'each', 'get', 'promise'];
+	const sectionTypes = ['if', 'each', 'get', 'promise', 'block', 'fill'];
 
 	/**
-	 * RegExp for special tags built from tagReList
+	 * Template name and arguments of {{% name arguments}} tag value
 	 * @type {RegExp}
 	 */
-	let tagRe = new RegExp(`^${tagReList.join(' |^')}|^else|^\/`, 'i');
+	const partialRe = /^("[^"]*"|'[^']*'|\S*)\s*([\s\S]*)$/;
+
+	/**
+	 * Branch tags of promise section
+	 * @type {string[]}
+	 */
+	const promiseBranchTypes = ['pending', 'catch', 'timeout'];
+
+	/**
+	 * Whitespace handling mode that collapses runs of spaces and removes tabs and newlines from template text
+	 * @type {string}
+	 */
+	const WHITESPACE_COLLAPSE = 'collapse';
+
+	/**
+	 * Whitespace handling mode that keeps template text exactly as authored
+	 * @type {string}
+	 */
+	const WHITESPACE_PRESERVE = 'preserve';
+
+	/**
+	 * Default maximum depth of included templates and layouts
+	 * @type {number}
+	 */
+	const MAX_DEPTH = 100;
+
+	/**
+	 * Format version of precompiled bundles - increase when token layout changes so old bundles are rejected
+	 * @type {number}
+	 */
+	const BUNDLE_VERSION = 1;
+
+	/**
+	 * Format name of precompiled bundles
+	 * @type {string}
+	 */
+	const BUNDLE_FORMAT = 'late.js';
+
+	/**
+	 * Tag list parsed except else and closing / that are special tags that do not have space before closing }}
+	 * Every Writer copies this list so environments can add tags without affecting each other.
+	 * @type {string[]}
+	 */
+	const tagReList = ['>', '>>', '%', 'if', 'html', 'each', 'get', 'promise', 't', 'extends', 'block', 'fill',
+		'slot', 'catch', 'on'];
 
-	// Define default tags here so that those can be set visible to object and still have setter/getter
-	let tags = ['{{', '}}'];
+	// Define default tags here - every Writer copies these and keeps own set
+	const tags = ['{{', '}}'];
 
 	/**
-	 * Token handler for token rendered
+	 * Built-in token handlers for token rendered - every Writer copies these on creation
 	 * @see Writer.renderTokens
 	 * @type {Object}
 	 */
 	const tokenHandlers = Object.create(null);
 
+	/**
+	 * Built-in helpers - every Writer copies these on creation
+	 * @type {Object}
+	 */
+	const helpers = Object.create(null);
+
+	/**
+	 * Built-in filters for {{value | filter:argument}} - every Writer copies these on creation
+	 * @type {Object}
+	 */
+	const filters = Object.create(null);
+
 	/**
 	 * Promise callback print element
 	 * @type {number}
 	 */
 	let promiseElementId = 0;
 
+	/**
+	 * Comment text prefix that starts keyed each item in output of renderInto
+	 * @type {string}
+	 */
+	const KEY_MARKER = 'late-key:';
+
+	/**
+	 * Comment text that ends keyed each item in output of renderInto
+	 * @type {string}
+	 */
+	const KEY_END = '/late-key';
+
+	/**
+	 * State of elements rendered with renderInto
+	 * @type {WeakMap<Element, Object>}
+	 */
+	const mounted = new WeakMap();
+
+	/**
+	 * Global scope that & lookups and parenthesis function calls are resolved against
+	 * @type {Object}
+	 */
+	let globalScope = root;
+
 	/**
 	 * @type {Object}
 	 */
@@ -123,6 +304,14 @@
 			writable: true
 		},
 
+		/**
+		 * Format version of precompiled bundles that late.load accepts
+		 */
+		bundleVersion: {
+			value: BUNDLE_VERSION,
+			writable: false
+		},
+
 		/**
 		 * Library name
 		 */
@@ -133,25 +322,102 @@
 	});
 
 	/**
-	 * Write debug
+	 * Event level names by log level
+	 * @type {string[]}
+	 */
+	const levelNames = ['debug', 'error'];
+
+	/**
+	 * Handlers registered with late.onError
+	 * @type {Function[]}
+	 */
+	const errorHandlers = [];
+
+	/**
+	 * Default logger writing events to console
+	 * @param {lateEvent} event
+	 */
+	function consoleLogger(event) {
+		const identify = event.template ? `[template: ${event.template}] ` : ``;
+
+		if (event.level === 'error') {
+			console.error(`late.js: ${identify}${event.message}`);
+
+		} else {
+			console.log(`late.js: ${identify}${event.message}`);
+		}
+	}
+
+	/**
+	 * Logger set with late.setLogger - null when logging is disabled
+	 * @type {Function|null}
+	 */
+	let logger = consoleLogger;
+
+	/**
+	 * @typedef {Object} lateEvent
+	 * @property {string} level debug or error
+	 * @property {string} message
+	 * @property {string|undefined} template Name of template
+	 * @property {{type: string, source: string, start: number, end: number, line: (number|undefined),
+	 *     column: (number|undefined)}|undefined} token Tag that was being rendered
+	 * @property {Error|undefined} error Original error
+	 * @property {string|undefined} path Lookup path, function, filter or template name
+	 * @property {Object|undefined} diagnostic Parse diagnostic
+	 */
+
+	/**
+	 * Send structured event to logger when printDebugLevel allows and error events to all error handlers
 	 * @param {string} message
 	 * @param {number} [errorLevel=0]
-	 * @param {string} [template]
+	 * @param {{template: string, token: Array, source: string, error: Error, path: string, diagnostic: Object}}
+	 *     [details] Template source is used to give line and column of token
 	 */
-	function consoleMessage(message, errorLevel, template) {
-		const identify = template ? `[template: ${template}] ` : ``;
-
+	function logMessage(message, errorLevel, details) {
 		errorLevel = errorLevel || 0;
+		details = details || {};
 
-		if (late.printDebugLevel >= errorLevel) {
-			switch (errorLevel) {
-				case 0:
-					console.log(`late.js: ${identify}${message}`);
-					break;
+		const event = {
+			level: levelNames[errorLevel],
+			message: message,
+			template: details.template,
+			token: undefined,
+			error: details.error,
+			path: details.path,
+			diagnostic: details.diagnostic
+		};
 
-				case 1:
-					console.error(`late.js: ${identify}${message}`);
-					break;
+		if (Array.isArray(details.token)) {
+			const token = details.token;
+
+			event.token = {type: token[0], source: token[1], start: token[2], end: token[3]};
+
+			if (typeof details.source === 'string') {
+				const location = locate(details.source, token[2]);
+
+				event.token.line = location.line;
+				event.token.column = location.column;
+			}
+		}
+
+		if (logger !== null && late.printDebugLevel >= errorLevel) {
+			logger(event);
+		}
+
+		if (errorLevel === TYPE_ERROR) {
+			for (let x = 0; x < errorHandlers.length; ++x) {
+				try {
+					errorHandlers[x](event);
+
+				} catch(/*Error*/error) {
+					// Only logger gets it so that failing handler does not call itself again
+					if (logger !== null && late.printDebugLevel >= TYPE_ERROR) {
+						logger(Object.assign({}, event, {
+							message: `error handler exception [${error.message}]`,
+							error: error
+						}));
+					}
+				}
 			}
 		}
 	}
@@ -169,964 +435,5542 @@
 		return string.replace(/[\-\[\]{}()*+?.,\\^$|#\s]/g, "\\$&");
 	}
 
-	function escapeHtml(string) {
-		return String(string).replace(/[<>"']/g, function(s) {
-			return entityMap[s];
+	/**
+	 * Decode characters that HTML serializing (innerHTML) encodes inside tags of template markup eg.
+	 * {{if a &amp;&amp; b}} is {{if a && b}}. Delimiters themselves may be encoded too eg. &lt;% name %&gt;.
+	 * @param {string} html
+	 * @param {string[]} tags Opening and closing tag
+	 * @returns {string}
+	 */
+	function decodeTemplateTags(html, tags) {
+		const delimiter = function(tag) {
+			const encoded = tag.replace(/[&<>"]/g, function(char) {
+				return entityMap[char];
+			});
+
+			return encoded !== tag ? `(?:${escapeRegExp(tag)}|${escapeRegExp(encoded)})` : escapeRegExp(tag);
+		};
+
+		return html.replace(new RegExp(`${delimiter(tags[0])}[\\s\\S]*?${delimiter(tags[1])}`, 'g'), function(tag) {
+			return tag.replace(/&(lt|gt|quot|nbsp|amp);/g, function(entity, name) {
+				return {lt: '<', gt: '>', quot: '"', nbsp: '\u00a0', amp: '&'}[name];
+			});
 		});
 	}
 
 	/**
-	 * A simple string scanner that is used by the template parser to find
-	 * tokens in template strings.
-	 * @constructor
+	 * Build RegExp for special tags from given tag list
+	 * @param {string[]} list
+	 * @returns {RegExp}
 	 */
-	function Scanner(string) {
-		const fix = string.replace(/ +/g, " ").replace(/[\t\n]/g, "");
+	function buildTagRe(list) {
+		// Every tag name requires whitespace after it so {{title}} is not read as {{t itle}}
+		return new RegExp(`^(?:${list.map(escapeRegExp).join('|')})\\s|^else|^\/`, 'i');
+	}
 
-		this.string = fix;
-		this.tail = fix;
-		this.pos = 0;
+	function escapeHtml(string) {
+		return String(string).replace(/[&<>"'\/]/g, function(s) {
+			return entityMap[s];
+		});
 	}
 
 	/**
-	 * Returns `true` if the tail is empty (end of string).
+	 * Elements whose content is not parsed as HTML - script and style get own escaping, others are plain text
+	 * @type {string[]}
 	 */
-	Scanner.prototype.eos = function() {
-		return this.tail === '';
-	};
+	const rawTextElements = ['script', 'style', 'textarea', 'title'];
 
 	/**
-	 * Tries to match the given regular expression at the current position.
-	 * Returns the matched text if it can match, the empty string otherwise.
+	 * Attributes that take URL as value
+	 * @type {string[]}
 	 */
-	Scanner.prototype.scan = function(re) {
-		const match = this.tail.match(re);
-
-		if (match === null) {
-			return '';
-		}
-
-		const string = match[0];
-
-		this.tail = this.tail.substring(string.length);
-		this.pos += string.length;
-
-		return match[0];
-	};
+	const urlAttributes = ['href', 'src', 'action', 'formaction', 'poster', 'cite', 'background', 'data', 'longdesc',
+		'manifest', 'ping', 'icon', 'srcset', 'xlink:href', 'codebase', 'usemap', 'profile'];
 
 	/**
-	 * Skips all text until the given regular expression can be matched. Returns
-	 * the skipped string, which is the entire tail if no match can be made.
-	 * @param {RegExp} re
-	 * @return {string}
+	 * URL schemes that are allowed at start of URL attribute - relative URLs have no scheme and are always allowed
+	 * @type {string[]}
 	 */
-	Scanner.prototype.scanUntil = function(re) {
-		const index = this.tail.search(re);
-		let match;
+	const safeUrlSchemes = ['http', 'https', 'mailto', 'tel', 'ftp', 'sms'];
 
-		switch (index) {
-		case -1:
-			match = this.tail;
-			this.tail = '';
-			break;
-		case 0:
-			match = '';
-			break;
-		default:
-			match = this.tail.substring(0, index);
-			this.tail = this.tail.substring(index);
-		}
+	/**
+	 * Event handler content attributes - writing inside them is refused
+	 * @type {string[]}
+	 */
+	const eventAttributes = ['abort', 'afterprint', 'animationcancel', 'animationend', 'animationiteration',
+		'animationstart', 'auxclick', 'beforecopy', 'beforecut', 'beforeinput', 'beforematch', 'beforepaste',
+		'beforeprint', 'beforetoggle', 'beforeunload', 'begin', 'blur', 'cancel', 'canplay', 'canplaythrough', 'change',
+		'click', 'close', 'contentvisibilityautostatechange', 'contextlost', 'contextmenu', 'contextrestored', 'copy',
+		'cuechange', 'cut', 'dblclick', 'drag', 'dragend', 'dragenter', 'dragexit', 'dragleave', 'dragover',
+		'dragstart', 'drop', 'durationchange', 'emptied', 'end', 'ended', 'error', 'focus', 'focusin', 'focusout',
+		'formdata', 'fullscreenchange', 'fullscreenerror', 'gotpointercapture', 'hashchange', 'input', 'invalid',
+		'keydown', 'keypress', 'keyup', 'languagechange', 'load', 'loadeddata', 'loadedmetadata', 'loadend',
+		'loadstart', 'lostpointercapture', 'message', 'messageerror', 'mousedown', 'mouseenter', 'mouseleave',
+		'mousemove', 'mouseout', 'mouseover', 'mouseup', 'mousewheel', 'offline', 'online', 'pagehide', 'pagereveal',
+		'pageshow', 'pageswap', 'paste', 'pause', 'play', 'playing', 'pointercancel', 'pointerdown', 'pointerenter',
+		'pointerleave', 'pointermove', 'pointerout', 'pointerover', 'pointerrawupdate', 'pointerup', 'popstate',
+		'progress', 'ratechange', 'rejectionhandled', 'repeat', 'reset', 'resize', 'scroll', 'scrollend', 'search',
+		'securitypolicyviolation', 'seeked', 'seeking', 'select', 'selectionchange', 'selectstart', 'slotchange',
+		'stalled', 'storage', 'submit', 'suspend', 'timeupdate', 'toggle', 'touchcancel', 'touchend', 'touchmove',
+		'touchstart', 'transitioncancel', 'transitionend', 'transitionrun', 'transitionstart', 'unhandledrejection',
+		'unload', 'volumechange', 'waiting', 'webkitanimationend', 'webkitanimationiteration', 'webkitanimationstart',
+		'webkittransitionend', 'wheel'].map(function(event) {
+			return `on${event}`;
+		});
 
-		this.pos += match.length;
+	/**
+	 * Escaping contexts of output tags
+	 * @type {string}
+	 */
+	const CONTEXT_HTML = 'html';
+	const CONTEXT_ATTRIBUTE = 'attr';
+	const CONTEXT_URL = 'url';
+	const CONTEXT_URL_JOINED = 'url-joined';
+	const CONTEXT_CSS = 'css';
+	const CONTEXT_EVENT = 'event';
+	const CONTEXT_SCRIPT = 'script';
+	const CONTEXT_STYLE = 'style';
 
-		return match;
-	};
+	/**
+	 * Suffix of attribute contexts where attribute value has no quotes
+	 * @type {string}
+	 */
+	const UNQUOTED = '-unquoted';
 
 	/**
-	 * Represents a rendering context by wrapping a view object and
-	 * maintaining a reference to the parent context.
+	 * Minimal HTML tokenizer that follows template text while template is parsed so every output tag knows if it is
+	 * written to text, attribute value, URL, style, event handler or script.
 	 * @constructor
-	 * @param {Object|undefined} view
-	 * @param {Context} [parentContext]
-	 * @param {Context} [root]
 	 */
-	function Context(view, parentContext, root) {
+	function HtmlContext() {
 		/**
-		 * @type {Object}
+		 * text, tag, attributeName, beforeValue, value, rawText or comment
+		 * @type {string}
 		 */
-		this.view = view === undefined ? Object.create(null) : view;
+		this.state = 'text';
+		this.tagName = '';
+		this.closing = false;
+		this.attributeName = '';
+		this.quote = '';
 
 		/**
-		 * @type {Context}
+		 * No other text than whitespace has been written to current attribute value yet
+		 * @type {boolean}
 		 */
-		this.parent = parentContext;
+		this.valueStart = false;
 
 		/**
-		 * @type {Context}
+		 * Template tag has written to start of current attribute value - next one continues its URL scheme
+		 * @type {boolean}
 		 */
-		this.root = root || this;
-
-		this.cache = {'$': this.view};
-		this.window = window;
+		this.valueOutput = false;
 	}
 
 	/**
-	 * Set new root context
-	 * @param {Context} context
+	 * Follow given template text
+	 * @param {string} text
 	 */
-	Context.prototype.setRoot = function(context) {
-		this.root = (context instanceof Context) ? context : this.root;
-	};
+	HtmlContext.prototype.consume = function(text) {
+		let pos = 0, match;
 
-	/**
-	 * Creates a new context using the given view with this context
-	 * as the parent.
-	 * @return {Context}
-	 */
-	Context.prototype.push = function(view) {
-		// Always push most top level Context to next level so Context can be only in two levels
-		return new Context(view, this, this.root);
-	};
+		while (pos < text.length) {
+			const char = text[pos];
+			const rest = text.substring(pos);
 
-	/**
-	 * @param {string} name
-	 * @returns {*}
-	 */
-	Context.prototype.functionCall = function(name) {
-		let result, negate, args = [];
+			switch (this.state) {
+				case 'text':
+					pos = text.indexOf('<', pos);
 
-		if (name[0] === '!') {
-			negate = true;
-			name = name.substring(1);
-		}
+					if (pos === -1) {
+						return;
+					}
 
-		try {
-			/*jslint regexp: true*/
-			// Is this window namespace function call
-			let parts = name.split(/\((.*)\)/);
-
-			// If there is more than one item in parameters then take those and iterate through
-			if (parts[1] !== "" && parts[1] !== undefined) {
-				let parseArgs = parts[1].split(',');
-
-				for (let x = 0; x < parseArgs.length; x++) {
-					// Check that this is not empty string... requested empty strings have "" or ''
-					if (parseArgs[x] !== "") {
-						args.push(this.lookupWithReserved(parseArgs[x]));
+					if (text.substr(pos, 4) === '<!--') {
+						this.state = 'comment';
+						pos += 4;
+
+					} else if ((match = text.substring(pos).match(/^<(\/?)([a-zA-Z][\w:\-]*)/)) !== null) {
+						this.state = 'tag';
+						this.closing = match[1] === '/';
+						this.tagName = match[2].toLowerCase();
+						pos += match[0].length;
+
+					} else {
+						pos++;
 					}
-				}
-			}
+					break;
 
-			name = parts[0];
+				case 'comment':
+					pos = text.indexOf('-->', pos);
 
-			// If function call is to the templateData context
-			if (name[0] !== '$' && name[0] !== '#') {
-				let namespaces = name.split(".");
-				let context = window;
-				let func = namespaces.pop();
+					if (pos === -1) {
+						return;
+					}
 
-				for (let i = 0; i < namespaces.length; i++) {
-					context = context[namespaces[i]];
-				}
+					this.state = 'text';
+					pos += 3;
+					break;
 
-				result = context[func].apply(context, args);
+				case 'rawText':
+					match = rest.toLowerCase().indexOf(`</${this.tagName}`);
 
-			} else {
-				result = this.lookup(name, args);
-			}
+					if (match === -1) {
+						return;
+					}
 
-			return (negate) ? !result : result;
+					this.state = 'tag';
+					this.closing = true;
+					pos += match + this.tagName.length + 2;
+					break;
 
-		} catch(/*Error*/error) {
-			consoleMessage(`functionCall exception [Name: ${error.name}] [Func: ${name}] [Msg: ${error.message}]`,
-					TYPE_ERROR, this.current);
-		}
-	};
+				case 'tag':
+					if (char === '>') {
+						this.state = !this.closing && rawTextElements.indexOf(this.tagName) !== -1 ? 'rawText' : 'text';
+						pos++;
 
-	/**
-	 * Returns the value of the given name in this context, traversing
-	 * up the context hierarchy if the value is absent in this context's view.
-	 */
-	Context.prototype.lookup = function(name, args) {
-		let firstChar = name[0],
-			cache, value, negate, context, functionPath;
+					} else if ((match = rest.match(/^[^\s"'>\/=]+/)) !== null) {
+						this.state = 'attributeName';
+						this.attributeName = match[0].toLowerCase();
+						pos += match[0].length;
 
-		// Check first if function because it has own negate system
-		if (name.indexOf('(') !== -1) {
-			return this.functionCall(name);
-		}
+					} else {
+						pos++;
+					}
+					break;
 
-		if (firstChar === '!') {
-			negate = true;
-			name = name.substring(1);
-			firstChar = name[0];
-		}
+				case 'attributeName':
+					if (char === '=') {
+						this.state = 'beforeValue';
+						pos++;
 
-		// Check if just string
-		if (firstChar === '"' || firstChar === "'") {
-			return name.substr(1, name.length - 2);
-		}
+					} else if (/\s/.test(char)) {
+						pos++;
 
-		// If there is # as first character then root context is requested
-		if (firstChar === '#') {
+					} else {
+						this.state = 'tag';
+					}
+					break;
+
+				case 'beforeValue':
+					if (/\s/.test(char)) {
+						pos++;
+
+					} else if (char === '>') {
+						this.state = 'tag';
+
+					} else {
+						this.state = 'value';
+						this.valueStart = true;
+						this.valueOutput = false;
+						this.quote = (char === '"' || char === "'") ? char : '';
+						pos += this.quote === '' ? 0 : 1;
+					}
+					break;
+
+				case 'value':
+					if (this.quote !== '') {
+						if (char === this.quote) {
+							this.state = 'tag';
+						}
+
+					} else if (/\s/.test(char) || char === '>') {
+						this.state = 'tag';
+						break;
+					}
+
+					// Browsers strip whitespace around URL so it does not end start of value
+					if (!/\s/.test(char)) {
+						this.valueStart = false;
+					}
+
+					pos++;
+					break;
+			}
+		}
+	};
+
+	/**
+	 * Escaping context of output written to current position
+	 * @returns {string}
+	 */
+	HtmlContext.prototype.current = function() {
+		switch (this.state) {
+			case 'rawText':
+				if (this.tagName === 'script') {
+					return CONTEXT_SCRIPT;
+				}
+
+				return this.tagName === 'style' ? CONTEXT_STYLE : CONTEXT_HTML;
+
+			case 'beforeValue':
+			case 'value': {
+				const unquoted = this.state === 'beforeValue' || this.quote === '' ? UNQUOTED : '';
+
+				if (eventAttributes.indexOf(this.attributeName) !== -1) {
+					return CONTEXT_EVENT;
+				}
+
+				if (this.attributeName === 'style') {
+					return CONTEXT_CSS + unquoted;
+				}
+
+				// Value continues URL scheme when only tag output and whitespace have been written before it
+				if (urlAttributes.indexOf(this.attributeName) !== -1 &&
+						(this.state === 'beforeValue' || this.valueStart)) {
+					return (this.valueOutput && this.state === 'value' ? CONTEXT_URL_JOINED : CONTEXT_URL) + unquoted;
+				}
+
+				return CONTEXT_ATTRIBUTE + unquoted;
+			}
+		}
+
+		return CONTEXT_HTML;
+	};
+
+	/**
+	 * Is current position between attributes of start tag
+	 * @returns {boolean}
+	 */
+	HtmlContext.prototype.insideStartTag = function() {
+		return !this.closing && (this.state === 'tag' || this.state === 'attributeName');
+	};
+
+	/**
+	 * Template tag wrote output to current position
+	 */
+	HtmlContext.prototype.output = function() {
+		if (this.state === 'beforeValue') {
+			this.state = 'value';
+			this.quote = '';
+			this.valueStart = true;
+		}
+
+		this.valueOutput = this.valueStart;
+	};
+
+	/**
+	 * Details of escaped value for logged messages - tag value of token being rendered is given as path
+	 * @param {Context} [context]
+	 * @returns {Object|undefined}
+	 */
+	function escapeDetails(context) {
+		if (context === undefined) {
+			return;
+		}
+
+		return context.details({path: context.writer.token !== undefined ? context.writer.token[1] : undefined});
+	}
+
+	/**
+	 * Replace URL that has other than safe scheme eg. javascript: or data:
+	 * @param {*} value
+	 * @param {Context} [context] Render context for logged messages
+	 * @returns {string}
+	 */
+	function sanitizeUrl(value, context) {
+		const url = String(value);
+
+		// Browsers ignore control characters and whitespace inside scheme eg. "java\tscript:"
+		const scheme = url.replace(/[\u0000-\u0020\u007f-\u009f]/g, '').match(/^([a-z][a-z0-9+.\-]*):/i);
+
+		if (scheme !== null && safeUrlSchemes.indexOf(scheme[1].toLowerCase()) === -1) {
+			logMessage(`Unsafe URL scheme "${scheme[1]}" replaced`, TYPE_ERROR, escapeDetails(context));
+			return 'about:invalid#late-unsafe-url';
+		}
+
+		return url;
+	}
+
+	/**
+	 * Value that continues URL started by other value with no text between them eg. href="{{a}}{{b}}" - refused when
+	 * it could finish URL scheme of value before it
+	 * @param {*} value
+	 * @param {Context} [context] Render context for logged messages
+	 * @returns {string}
+	 */
+	function sanitizeJoinedUrl(value, context) {
+		const url = String(value);
+
+		if (/^[^\/?#]*:/.test(url.replace(/[\u0000-\u0020\u007f-\u009f]/g, ''))) {
+			logMessage(`Value that could complete URL scheme "${url}" removed`, TYPE_ERROR, escapeDetails(context));
+			return '';
+		}
+
+		return url;
+	}
+
+	/**
+	 * Allow only plain CSS values eg. colors, lengths and rgb() - anything that could break out of declaration or load
+	 * resources is replaced with empty string
+	 * @param {*} value
+	 * @param {Context} [context] Render context for logged messages
+	 * @returns {string}
+	 */
+	function sanitizeCss(value, context) {
+		const css = String(value);
+
+		if (!/^[\w\s#%.,+\-()\/!]*$/.test(css) || /url\s*\(|expression\s*\(|image-set\s*\(|javascript/i.test(css)) {
+			logMessage(`Unsafe CSS value "${css}" removed`, TYPE_ERROR, escapeDetails(context));
+			return '';
+		}
+
+		return css;
+	}
+
+	/**
+	 * Serialize value to JavaScript literal that can't close script element
+	 * @param {*} value
+	 * @returns {string}
+	 */
+	function escapeScript(value) {
+		const json = JSON.stringify(value);
+
+		return json === undefined ? 'undefined' : json.replace(/[<>&\u2028\u2029]/g, function(char) {
+			return `\\u${('000' + char.charCodeAt(0).toString(16)).slice(-4)}`;
+		});
+	}
+
+	/**
+	 * Escape value for escaping context recorded by parser to output token
+	 * @param {*} value
+	 * @param {string} [escapeContext=html]
+	 * @param {Function} escape HTML escape function of render
+	 * @param {Context} [context] Render context for logged messages
+	 * @returns {string}
+	 */
+	function escapeForContext(value, escapeContext, escape, context) {
+		let result;
+
+		escapeContext = escapeContext || CONTEXT_HTML;
+
+		const unquoted = escapeContext.indexOf(UNQUOTED) !== -1;
+
+		switch (unquoted ? escapeContext.substring(0, escapeContext.length - UNQUOTED.length) : escapeContext) {
+			case CONTEXT_URL:
+				result = escape(sanitizeUrl(value, context));
+				break;
+
+			case CONTEXT_URL_JOINED:
+				result = escape(sanitizeJoinedUrl(value, context));
+				break;
+
+			case CONTEXT_CSS:
+				result = escape(sanitizeCss(value, context));
+				break;
+
+			case CONTEXT_STYLE:
+				return sanitizeCss(value, context);
+
+			case CONTEXT_SCRIPT:
+				return escapeScript(value);
+
+			case CONTEXT_EVENT:
+				logMessage(`Refused to write value inside event handler attribute`, TYPE_ERROR, escapeDetails(context));
+				return '';
+
+			default:
+				result = escape(value);
+		}
+
+		// Unquoted attribute value ends on whitespace so encode everything that could end or start attribute
+		return unquoted ? String(result).replace(/[\s`=]/g, function(char) {
+			return `&#${char.charCodeAt(0)};`;
+		}) : result;
+	}
+
+	/**
+	 * Output modes that decide how every {{name}} value is escaped. Mode functions get value, escaping context of
+	 * token, HTML escape function and context of render.
+	 * @type {Object.<Function>}
+	 */
+	const outputModes = Object.create(null);
+
+	/**
+	 * HTML output escaped by where value is written
+	 * @type {Function}
+	 */
+	outputModes.html = escapeForContext;
+
+	/**
+	 * Plain text output eg. SMS and email bodies - nothing is escaped
+	 * @param {*} value
+	 * @returns {string}
+	 */
+	outputModes.text = function(value) {
+		return String(value);
+	};
+
+	/**
+	 * JSON string content - template writes the quotes eg. {"name": "{{name}}"}
+	 * @param {*} value
+	 * @returns {string}
+	 */
+	outputModes.json = function(value) {
+		const json = JSON.stringify(String(value));
+
+		return json.substring(1, json.length - 1);
+	};
+
+	/**
+	 * CSV field - quoted when it contains separator, quote or line break
+	 * @param {*} value
+	 * @returns {string}
+	 */
+	outputModes.csv = function(value) {
+		const field = String(value);
+
+		return /[",;\r\n]|^\s|\s$/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+	};
+
+	/**
+	 * Error thrown when template in sandboxed writer references something else than registered helper
+	 * @constructor
+	 * @param {string} message
+	 * @param {string} reference Name that template tried to access
+	 */
+	function SandboxError(message, reference) {
+		this.name = 'SandboxError';
+		this.message = `late.js sandbox: ${message}`;
+		this.reference = reference;
+		this.stack = (new Error(this.message)).stack;
+	}
+
+	SandboxError.prototype = Object.create(Error.prototype);
+	SandboxError.prototype.constructor = SandboxError;
+
+	/**
+	 * Property names that sandboxed templates can't read - they lead to constructors like Function
+	 * @type {string[]}
+	 */
+	const sandboxDeniedNames = ['constructor', '__proto__', 'prototype'];
+
+	/**
+	 * Read property of value. Sandboxed writer reads only own properties and throws SandboxError on denied names.
+	 * @param {Writer} writer
+	 * @param {*} value
+	 * @param {*} name
+	 * @returns {*}
+	 * @throws {SandboxError}
+	 */
+	function readProperty(writer, value, name) {
+		if (value === undefined || value === null) {
+			return undefined;
+		}
+
+		if (writer.sandbox) {
+			if (sandboxDeniedNames.indexOf(String(name)) !== -1) {
+				throw new SandboxError(`"${name}" can't be read`, String(name));
+			}
+
+			return Object.prototype.hasOwnProperty.call(Object(value), name) ? value[name] : undefined;
+		}
+
+		return value[name];
+	}
+
+	/**
+	 * Sandboxed writer calls only functions that are registered helpers
+	 * @param {Writer} writer
+	 * @param {Function} fn
+	 * @param {string} name Name that template used for function
+	 * @throws {SandboxError}
+	 */
+	function checkSandboxCall(writer, fn, name) {
+		if (writer.sandbox && !Object.keys(writer.helpers).some(function(helper) {
+			return writer.helpers[helper] === fn;
+		})) {
+			throw new SandboxError(`"${name}" is not a registered helper`, name);
+		}
+	}
+
+	/**
+	 * Error thrown when parsed template has errors and strict parsing is requested
+	 * @constructor
+	 * @param {string} template Template name
+	 * @param {Array.<Object>} diagnostics
+	 */
+	function LateParseError(template, diagnostics) {
+		const first = diagnostics[0];
+
+		this.name = 'LateParseError';
+		this.message = `late.js: [template: ${template}] ${first.message} at ${first.line}:${first.column}` +
+				(diagnostics.length > 1 ? ` (+${diagnostics.length - 1} more)` : '');
+		this.template = template;
+		this.diagnostics = diagnostics;
+		this.stack = (new Error(this.message)).stack;
+	}
+
+	LateParseError.prototype = Object.create(Error.prototype);
+	LateParseError.prototype.constructor = LateParseError;
+
+	/**
+	 * Error thrown by strict render on missing values, missing templates and failed calls. Template name, line, column
+	 * and snippet point to tag that failed.
+	 * @constructor
+	 * @param {string} message
+	 * @param {string} [path] Lookup path, function or template name that failed
+	 * @param {Error} [cause] Original error of failed call
+	 */
+	function LateRenderError(message, path, cause) {
+		this.name = 'LateRenderError';
+		this.message = `late.js: ${message}`;
+		this.reason = message;
+		this.path = path;
+		this.cause = cause;
+		this.template = undefined;
+		this.line = undefined;
+		this.column = undefined;
+		this.snippet = undefined;
+		this.stack = (new Error(this.message)).stack;
+	}
+
+	LateRenderError.prototype = Object.create(Error.prototype);
+	LateRenderError.prototype.constructor = LateRenderError;
+
+	/**
+	 * Add template name and source position of token to render error that does not have them yet. Innermost token
+	 * that failed is located first and outer tokens leave error as is. Error without token gets only template name.
+	 * @param {Error} error
+	 * @param {Context} context
+	 * @param {Array} [token]
+	 * @returns {Error}
+	 */
+	function locateRenderError(error, context, token) {
+		if (!(error instanceof LateRenderError) || error.template !== undefined) {
+			return error;
+		}
+
+		const data = context.writer.cache[context.template];
+
+		error.template = context.template;
+		error.message = `late.js: [template: ${context.template}] ${error.reason}`;
+
+		if (data !== undefined && typeof data.template === 'string' && token !== undefined) {
+			const location = locate(data.template, token[2]);
+
+			error.line = location.line;
+			error.column = location.column;
+			error.snippet = data.template.substring(token[2], token[3]);
+			error.message += ` at ${location.line}:${location.column}`;
+		}
+
+		return error;
+	}
+
+	/**
+	 * Line and column (both starting from 1) of given position in template
+	 * @param {string} template
+	 * @param {number} position
+	 * @returns {{line: number, column: number}}
+	 */
+	function locate(template, position) {
+		const lines = template.substring(0, position).split('\n');
+
+		return {line: lines.length, column: lines[lines.length - 1].length + 1};
+	}
+
+	/**
+	 * Create parse diagnostic that points to original template source
+	 * @param {string} code Machine readable code eg. unclosed-section
+	 * @param {string} message
+	 * @param {string} template Template name
+	 * @param {string} source Template source
+	 * @param {number} start
+	 * @param {number} end
+	 * @returns {{code: string, message: string, template: string, line: number, column: number, snippet: string,
+	 *     start: number, end: number}}
+	 */
+	function createDiagnostic(code, message, template, source, start, end) {
+		const location = locate(source, start);
+
+		return {
+			code: code,
+			message: message,
+			template: template,
+			line: location.line,
+			column: location.column,
+			snippet: source.substring(start, Math.min(end, start + 80)),
+			start: start,
+			end: end
+		};
+	}
+
+	/**
+	 * A simple string scanner that is used by the template parser to find
+	 * tokens in template strings. Template is kept as authored so positions point to original template.
+	 * @constructor
+	 */
+	function Scanner(string) {
+		this.string = string;
+		this.tail = string;
+		this.pos = 0;
+	}
+
+	/**
+	 * Returns `true` if the tail is empty (end of string).
+	 */
+	Scanner.prototype.eos = function() {
+		return this.tail === '';
+	};
+
+	/**
+	 * Tries to match the given regular expression at the current position.
+	 * Returns the matched text if it can match, the empty string otherwise.
+	 */
+	Scanner.prototype.scan = function(re) {
+		const match = this.tail.match(re);
+
+		if (match === null) {
+			return '';
+		}
+
+		const string = match[0];
+
+		this.tail = this.tail.substring(string.length);
+		this.pos += string.length;
+
+		return match[0];
+	};
+
+	/**
+	 * Skips all text until the given regular expression can be matched. Returns
+	 * the skipped string, which is the entire tail if no match can be made.
+	 * @param {RegExp} re
+	 * @return {string}
+	 */
+	Scanner.prototype.scanUntil = function(re) {
+		const index = this.tail.search(re);
+		let match;
+
+		switch (index) {
+		case -1:
+			match = this.tail;
+			this.tail = '';
+			break;
+		case 0:
+			match = '';
+			break;
+		default:
+			match = this.tail.substring(0, index);
+			this.tail = this.tail.substring(index);
+		}
+
+		this.pos += match.length;
+
+		return match;
+	};
+
+	/**
+	 * Operators and punctuation understood by expression tokenizer - longest first so === is not read as ==
+	 * @type {string[]}
+	 */
+	const expressionOperators = ['===', '!==', '==', '!=', '>=', '<=', '&&', '||', '>', '<', '!', '(', ')', '[', ']',
+		',', '|', ':', '='];
+
+	/**
+	 * Comparison operators of expressions
+	 * @type {string[]}
+	 */
+	const comparisonOperators = ['===', '!==', '==', '!=', '>=', '<=', '>', '<'];
+
+	/**
+	 * Number literal - floats, negatives and exponents
+	 * @type {RegExp}
+	 */
+	const numberRe = /^-?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/;
+
+	/**
+	 * Lookup path eg. name, $index, $.name, #.user.name, &.navigator.language, items.0
+	 * @type {RegExp}
+	 */
+	const pathRe = /^[#&$A-Za-z_][\w$\-]*(?:\.[\w$\-]+)*/;
+
+	/**
+	 * Property access after ] or ) eg. items[0].name
+	 * @type {RegExp}
+	 */
+	const propertyRe = /^\.[\w$\-]+(?:\.[\w$\-]+)*/;
+
+	/**
+	 * String escape sequences
+	 * @type {Object.<string>}
+	 */
+	const stringEscapes = {
+		'n': '\n',
+		'r': '\r',
+		't': '\t',
+		'b': '\b',
+		'f': '\f',
+		'v': '\v',
+		'0': '\0'
+	};
+
+	/**
+	 * Parsed expressions by source - expressions are pure so same tree can be used by every writer
+	 * @type {Object.<Object>}
+	 */
+	const expressionCache = Object.create(null);
+
+	/**
+	 * Read string literal starting at given position
+	 * @param {string} source
+	 * @param {number} pos Position of opening quote
+	 * @returns {{value: string, end: number}}
+	 */
+	function readString(source, pos) {
+		const quote = source[pos];
+		let value = '';
+		let x = pos + 1;
+
+		while (x < source.length && source[x] !== quote) {
+			let char = source[x++];
+
+			if (char === '\\') {
+				char = source[x++];
+
+				if (char === 'u' || char === 'x') {
+					const length = char === 'u' ? 4 : 2;
+					const code = source.substr(x, length);
+
+					if (!/^[0-9a-fA-F]+$/.test(code) || code.length !== length) {
+						throw new SyntaxError(`Invalid escape sequence at ${x}`);
+					}
+
+					char = String.fromCharCode(parseInt(code, 16));
+					x += length;
+
+				} else if (stringEscapes[char] !== undefined) {
+					char = stringEscapes[char];
+				}
+			}
+
+			value += char;
+		}
+
+		if (x >= source.length) {
+			throw new SyntaxError(`Unterminated string starting at ${pos}`);
+		}
+
+		return {value: value, end: x + 1};
+	}
+
+	/**
+	 * Split expression source to tokens
+	 * @param {string} source
+	 * @returns {Array.<{type: string, value: *, pos: number}>}
+	 */
+	function tokenizeExpression(source) {
+		const result = [];
+		let pos = 0;
+
+		while (pos < source.length) {
+			const char = source[pos];
+			const rest = source.substring(pos);
+			const previous = result[result.length - 1];
+			let match;
+
+			if (/\s/.test(char)) {
+				pos++;
+				continue;
+			}
+
+			if (char === '"' || char === "'") {
+				const string = readString(source, pos);
+
+				result.push({type: 'string', value: string.value, pos: pos});
+				pos = string.end;
+				continue;
+			}
+
+			if (previous !== undefined && (previous.value === ']' || previous.value === ')') &&
+					(match = rest.match(propertyRe)) !== null) {
+				result.push({type: 'property', value: match[0].substring(1), pos: pos});
+				pos += match[0].length;
+				continue;
+			}
+
+			if ((match = rest.match(numberRe)) !== null) {
+				result.push({type: 'number', value: parseFloat(match[0]), pos: pos});
+				pos += match[0].length;
+				continue;
+			}
+
+			match = expressionOperators.filter(function(operator) {
+				return rest.substr(0, operator.length) === operator;
+			})[0];
+
+			if (match !== undefined) {
+				result.push({type: 'operator', value: match, pos: pos});
+				pos += match.length;
+				continue;
+			}
+
+			if ((match = rest.match(pathRe)) !== null) {
+				result.push({type: 'path', value: match[0], pos: pos});
+				pos += match[0].length;
+				continue;
+			}
+
+			throw new SyntaxError(`Unexpected character "${char}" at ${pos}`);
+		}
+
+		return result;
+	}
+
+	/**
+	 * Recursive descent parser over expression tokens
+	 * @constructor
+	 * @param {string} source
+	 */
+	function ExpressionParser(source) {
+		this.source = source;
+		this.tokens = tokenizeExpression(source);
+		this.index = 0;
+	}
+
+	/**
+	 * Current token without consuming it
+	 * @returns {{type: string, value: *, pos: number}|undefined}
+	 */
+	ExpressionParser.prototype.peek = function() {
+		return this.tokens[this.index];
+	};
+
+	/**
+	 * Consume current token if it is given operator
+	 * @param {string} operator
+	 * @returns {boolean}
+	 */
+	ExpressionParser.prototype.accept = function(operator) {
+		const token = this.peek();
+
+		if (token !== undefined && token.type === 'operator' && token.value === operator) {
+			this.index++;
+			return true;
+		}
+
+		return false;
+	};
+
+	/**
+	 * Consume given operator or fail
+	 * @param {string} operator
+	 */
+	ExpressionParser.prototype.expect = function(operator) {
+		if (!this.accept(operator)) {
+			this.fail(`Expected "${operator}"`);
+		}
+	};
+
+	/**
+	 * @param {string} message
+	 */
+	ExpressionParser.prototype.fail = function(message) {
+		const token = this.peek();
+		const position = token !== undefined ? `at ${token.pos}` : 'at end';
+
+		throw new SyntaxError(`${message} ${position} in "${this.source}"`);
+	};
+
+	/**
+	 * Parse whole source as single expression
+	 * @returns {Object}
+	 */
+	ExpressionParser.prototype.parse = function() {
+		if (this.tokens.length === 0) {
+			return {type: 'literal', value: undefined};
+		}
+
+		const node = this.parsePipe();
+
+		if (this.index < this.tokens.length) {
+			this.fail('Unexpected token');
+		}
+
+		return node;
+	};
+
+	/**
+	 * pipe := expression ('|' filter (':' unary)*)*
+	 * Pipe has lowest precedence so use parenthesis to compare filtered value eg. (items | length) > 0
+	 * @returns {Object}
+	 */
+	ExpressionParser.prototype.parsePipe = function() {
+		let node = this.parseExpression();
+
+		while (this.accept('|')) {
+			const token = this.peek();
+			const args = [];
+
+			if (token === undefined || token.type !== 'path') {
+				this.fail('Expected filter name');
+			}
+
+			this.index++;
+
+			while (this.accept(':')) {
+				args.push(this.parseUnary());
+			}
+
+			node = {type: 'filter', name: token.value, input: node, args: args};
+		}
+
+		return node;
+	};
+
+	/**
+	 * expression := and ('||' and)*
+	 * @returns {Object}
+	 */
+	ExpressionParser.prototype.parseExpression = function() {
+		let node = this.parseAnd();
+
+		while (this.accept('||')) {
+			node = {type: 'logical', operator: '||', left: node, right: this.parseAnd()};
+		}
+
+		return node;
+	};
+
+	/**
+	 * and := comparison ('&&' comparison)*
+	 * @returns {Object}
+	 */
+	ExpressionParser.prototype.parseAnd = function() {
+		let node = this.parseComparison();
+
+		while (this.accept('&&')) {
+			node = {type: 'logical', operator: '&&', left: node, right: this.parseComparison()};
+		}
+
+		return node;
+	};
+
+	/**
+	 * comparison := unary (operator unary)?
+	 * @returns {Object}
+	 */
+	ExpressionParser.prototype.parseComparison = function() {
+		const node = this.parseUnary();
+		const token = this.peek();
+
+		if (token !== undefined && token.type === 'operator' && comparisonOperators.indexOf(token.value) !== -1) {
+			this.index++;
+
+			return {type: 'binary', operator: token.value, left: node, right: this.parseUnary()};
+		}
+
+		return node;
+	};
+
+	/**
+	 * unary := '!' unary | postfix
+	 * Negation binds tighter than comparison so !a === b is (!a) === b - use !(a === b) to negate comparison
+	 * @returns {Object}
+	 */
+	ExpressionParser.prototype.parseUnary = function() {
+		if (this.accept('!')) {
+			return {type: 'not', argument: this.parseUnary()};
+		}
+
+		return this.parsePostfix();
+	};
+
+	/**
+	 * postfix := primary ('[' expression ']' | .property)*
+	 * @returns {Object}
+	 */
+	ExpressionParser.prototype.parsePostfix = function() {
+		let node = this.parsePrimary();
+
+		for (;;) {
+			const token = this.peek();
+
+			if (this.accept('[')) {
+				node = {type: 'member', object: node, property: this.parseExpression()};
+				this.expect(']');
+
+			} else if (token !== undefined && token.type === 'property') {
+				this.index++;
+				node = {type: 'property', object: node, name: token.value};
+
+			} else {
+				return node;
+			}
+		}
+	};
+
+	/**
+	 * primary := '(' expression ')' | string | number | reserved word | path | path '(' arguments ')'
+	 * @returns {Object}
+	 */
+	ExpressionParser.prototype.parsePrimary = function() {
+		const token = this.peek();
+
+		if (token === undefined) {
+			this.fail('Unexpected end of expression');
+		}
+
+		// Parenthesis without function name is grouping
+		if (this.accept('(')) {
+			const node = this.parsePipe();
+
+			this.expect(')');
+
+			return node;
+		}
+
+		switch (token.type) {
+			case 'string':
+			case 'number':
+				this.index++;
+				return {type: 'literal', value: token.value};
+
+			case 'path':
+				this.index++;
+
+				switch (token.value) {
+					case 'undefined':
+						return {type: 'literal', value: undefined};
+					case 'true':
+						return {type: 'literal', value: true};
+					case 'false':
+						return {type: 'literal', value: false};
+					case 'null':
+						return {type: 'literal', value: null};
+				}
+
+				if (this.accept('(')) {
+					return {type: 'call', callee: token.value, args: this.parseArguments()};
+				}
+
+				return {type: 'path', name: token.value};
+		}
+
+		this.fail(`Unexpected "${token.value}"`);
+	};
+
+	/**
+	 * arguments := (expression (',' expression)*)? ')'
+	 * @returns {Array}
+	 */
+	ExpressionParser.prototype.parseArguments = function() {
+		const args = [];
+
+		if (this.accept(')')) {
+			return args;
+		}
+
+		do {
+			args.push(this.parsePipe());
+		} while (this.accept(','));
+
+		this.expect(')');
+
+		return args;
+	};
+
+	/**
+	 * Parse tag arguments: positional expressions and name=expression pairs separated by whitespace
+	 * eg. key count=items.length name=user.name
+	 * @returns {{positional: Array, named: Object}}
+	 */
+	ExpressionParser.prototype.parseArgumentList = function() {
+		const result = {positional: [], named: Object.create(null)};
+
+		while (this.index < this.tokens.length) {
+			const token = this.peek();
+			const next = this.tokens[this.index + 1];
+
+			if (token.type === 'path' && next !== undefined && next.type === 'operator' && next.value === '=') {
+				this.index += 2;
+				result.named[token.value] = this.parsePipe();
+
+			} else {
+				result.positional.push(this.parsePipe());
+			}
+		}
+
+		return result;
+	};
+
+	/**
+	 * Parsed tag arguments by source
+	 * @type {Object.<Object>}
+	 */
+	const argumentCache = Object.create(null);
+
+	/**
+	 * Parse tag arguments to positional and named expression trees. Results are cached by source.
+	 * @param {string} source
+	 * @returns {{positional: Array, named: Object}}
+	 * @throws {SyntaxError}
+	 */
+	function parseArguments(source) {
+		if (argumentCache[source] === undefined) {
+			argumentCache[source] = (new ExpressionParser(source)).parseArgumentList();
+		}
+
+		return argumentCache[source];
+	}
+
+	/**
+	 * Event names that can be written to data-late-on-* attribute name
+	 * @type {RegExp}
+	 */
+	const eventNameRe = /^[a-zA-Z][\w\-]*$/;
+
+	/**
+	 * Are parsed arguments of {{on}} tag literal event name, handler name and handler arguments
+	 * @param {{positional: Array, named: Object}} args
+	 * @returns {boolean}
+	 */
+	function validEventArguments(args) {
+		const type = args.positional[0];
+
+		return args.positional.length >= 2 && Object.keys(args.named).length === 0 && type.type === 'literal' &&
+				eventNameRe.test(String(type.value)) && args.positional[1].type === 'path';
+	}
+
+	/**
+	 * Parse expression source to syntax tree. Trees are cached by source.
+	 * @param {string} source
+	 * @returns {Object}
+	 * @throws {SyntaxError}
+	 */
+	function parseExpression(source) {
+		if (expressionCache[source] === undefined) {
+			expressionCache[source] = (new ExpressionParser(source)).parse();
+		}
+
+		return expressionCache[source];
+	}
+
+	/**
+	 * Compare two values with given comparison operator
+	 * @param {string} operator
+	 * @param {*} left
+	 * @param {*} right
+	 * @param {Context} context Render context for logged messages
+	 * @returns {boolean|undefined}
+	 */
+	function compare(operator, left, right, context) {
+		switch (operator) {
+			case '===':
+				return left === right;
+
+			case '!==':
+				return left !== right;
+
+			case '==':
+				return left == right; // jshint ignore:line
+
+			case '!=':
+				return left != right; // jshint ignore:line
+
+			case '>':
+				return left > right;
+
+			case '>=':
+				return left >= right;
+
+			case '<':
+				return left < right;
+
+			case '<=':
+				return left <= right;
+
+			default:
+				logMessage(`template comparison "${operator}" is not valid (===, !==, ==, !=, >, >=, <, <=)`,
+						TYPE_ERROR, context.details({path: operator}));
+		}
+	}
+
+	/**
+	 * Represents a rendering context by wrapping a view object and
+	 * maintaining a reference to the parent context.
+	 * @constructor
+	 * @param {Object|undefined} view
+	 * @param {Context} [parentContext]
+	 * @param {Context} [root]
+	 */
+	function Context(view, parentContext, root) {
+		/**
+		 * @type {Object}
+		 */
+		this.view = view === undefined ? Object.create(null) : view;
+
+		/**
+		 * @type {Context}
+		 */
+		this.parent = parentContext;
+
+		/**
+		 * @type {Context}
+		 */
+		this.root = root || this;
+
+		this.cache = Object.create(null);
+		this.cache.$ = this.view;
+
+		/**
+		 * Writer that renders this context - gives access to environment helpers and global scope
+		 * @type {Writer}
+		 */
+		this.writer = parentContext !== undefined ? parentContext.writer : defaultWriter;
+
+		/**
+		 * Options of current render call eg. locale - shared by all contexts of the render
+		 * @type {Object}
+		 */
+		this.options = parentContext !== undefined ? parentContext.options : {};
+
+		/**
+		 * Name of template being rendered
+		 * @type {string|undefined}
+		 */
+		this.template = parentContext !== undefined ? parentContext.template : undefined;
+
+		/**
+		 * Overriding blocks of templates that extend rendered layout by block name - most derived first
+		 * @type {Object.<Array.<{tokens: Array, template: string}>>|undefined}
+		 */
+		this.blocks = parentContext !== undefined ? parentContext.blocks : undefined;
+
+		/**
+		 * Block content that {{super}} renders inside overriding block
+		 * @type {{chain: Array.<{tokens: Array, template: string}>, index: number}|undefined}
+		 */
+		this.superBlock = parentContext !== undefined ? parentContext.superBlock : undefined;
+
+		/**
+		 * Slot content given to partial by caller and caller context that renders it - default slot has empty name
+		 * @type {{context: Context, tokens: Object.<Array>}|undefined}
+		 */
+		this.slots = parentContext !== undefined ? parentContext.slots : undefined;
+
+		/**
+		 * Chain of rendered templates and their data from render call to current template
+		 * @type {Array.<{template: string, view: *, isolated: boolean}>}
+		 */
+		this.includes = parentContext !== undefined ? parentContext.includes : [];
+
+		/**
+		 * Escaping context of caller when partial is written inside attribute, URL, style or script - caller escapes
+		 * whole output of partial with it so tags of partial that are in text context write values as is
+		 * @type {string|undefined}
+		 */
+		this.escapeContext = parentContext !== undefined ? parentContext.escapeContext : undefined;
+
+		/**
+		 * Loop metadata of {{each}} iteration eg. $index and $first - looked up before view and not written to data
+		 * @type {Object|undefined}
+		 */
+		this.locals = undefined;
+	}
+
+	/**
+	 * Include chain that has given template added. Include is refused when chain would get deeper than maximum depth
+	 * or when same template is already rendered with same data which would recurse forever.
+	 * @param {string} name
+	 * @param {boolean} [isolated] Data is arguments of partial - those are compared by value
+	 * @returns {Array|undefined} Undefined when include is refused
+	 * @throws {LateRenderError}
+	 */
+	Context.prototype.include = function(name, isolated) {
+		const maxDepth = this.options.maxDepth !== undefined ? this.options.maxDepth : this.writer.maxDepth,
+			view = this.view;
+
+		const chain = this.includes.map(function(include) {
+			return include.template;
+		}).concat([name]).join(' > ');
+
+		const cycle = this.includes.some(function(include) {
+			return include.template === name && include.isolated === (isolated === true) &&
+					(isolated === true ? sameArguments(include.view, view) : include.view === view);
+		});
+
+		if (cycle) {
+			this.fail(`Include cycle: ${chain}`, name);
+			return;
+		}
+
+		if (this.includes.length >= maxDepth) {
+			this.fail(`Maximum include depth ${maxDepth} exceeded: ${chain}`, name);
+			return;
+		}
+
+		return this.includes.concat([{template: name, view: view, isolated: isolated === true}]);
+	};
+
+	/**
+	 * Create context that has only given data and no parents but continues same render eg. partial with arguments
+	 * @param {Object} view
+	 * @returns {Context}
+	 */
+	Context.prototype.isolate = function(view) {
+		const context = new Context(view);
+
+		context.writer = this.writer;
+		context.options = this.options;
+		context.template = this.template;
+		context.includes = this.includes;
+		context.escapeContext = this.escapeContext;
+
+		return context;
+	};
+
+	/**
+	 * Are partial arguments same values
+	 * @param {Object} first
+	 * @param {Object} second
+	 * @returns {boolean}
+	 */
+	function sameArguments(first, second) {
+		const keys = Object.keys(first);
+
+		return keys.length === Object.keys(second).length && keys.every(function(key) {
+			return first[key] === second[key];
+		});
+	}
+
+	/**
+	 * Create context that has same data and parents but overrides given properties eg. template of included partial
+	 * @param {Object} properties
+	 * @returns {Context}
+	 */
+	Context.prototype.derive = function(properties) {
+		return Object.assign(Object.create(this), properties);
+	};
+
+	/**
+	 * Is current render strict - render option strict and then writer strict mode
+	 * @returns {boolean}
+	 */
+	Context.prototype.isStrict = function() {
+		return this.options.strict !== undefined ? this.options.strict === true : this.writer.strict;
+	};
+
+	/**
+	 * Report render failure - strict render throws LateRenderError and lenient render logs error
+	 * @param {string} message
+	 * @param {string} [path] Lookup path, function or template name that failed
+	 * @param {Error} [cause]
+	 * @throws {LateRenderError}
+	 */
+	Context.prototype.fail = function(message, path, cause) {
+		if (this.isStrict()) {
+			throw new LateRenderError(message, path, cause);
+		}
+
+		logMessage(message, TYPE_ERROR, this.details({path: path, error: cause}));
+	};
+
+	/**
+	 * Event details of current template and token being rendered
+	 * @param {Object} [details] Additional details eg. path and error
+	 * @returns {Object}
+	 */
+	Context.prototype.details = function(details) {
+		const data = this.writer.cache[this.template];
+
+		return Object.assign({
+			template: this.template,
+			token: this.writer.token,
+			source: data !== undefined ? data.template : undefined
+		}, details);
+	};
+
+	/**
+	 * Escape output value with output mode and escape function of render - render options first and then writer
+	 * @param {*} value
+	 * @param {string} [escapeContext] Escaping context that parser recorded to token
+	 * @returns {string}
+	 */
+	Context.prototype.escape = function(value, escapeContext) {
+		const mode = this.options.mode || this.writer.mode;
+		const escape = this.options.escape || this.writer.escape;
+
+		// Partial written inside attribute, style or script of caller is escaped as whole by caller so its text level
+		// values are written as is
+		if (this.escapeContext !== undefined && (escapeContext === undefined || escapeContext === CONTEXT_HTML)) {
+			return String(value);
+		}
+
+		if (outputModes[mode] === undefined) {
+			logMessage(`Unknown output mode [${mode}]`, TYPE_ERROR, this.details({path: mode}));
+			return escapeForContext(value, escapeContext, escape, this);
+		}
+
+		return outputModes[mode](value, escapeContext, escape, this);
+	};
+
+	/**
+	 * Locale of current render - render option locale, then writer locale and undefined for runtime default
+	 * @returns {string|string[]|undefined}
+	 */
+	Context.prototype.getLocale = function() {
+		return this.options.locale !== undefined ? this.options.locale : this.writer.locale;
+	};
+
+	/**
+	 * Set new root context
+	 * @param {Context} context
+	 */
+	Context.prototype.setRoot = function(context) {
+		this.root = (context instanceof Context) ? context : this.root;
+	};
+
+	/**
+	 * Creates a new context using the given view with this context
+	 * as the parent.
+	 * @param {*} view
+	 * @param {Object} [locals] Loop metadata eg. {$index: 0, $first: true}
+	 * @return {Context}
+	 */
+	Context.prototype.push = function(view, locals) {
+		// Always push most top level Context to next level so Context can be only in two levels
+		const context = new Context(view, this, this.root);
+
+		if (locals !== undefined) {
+			context.locals = locals;
+		}
+
+		return context;
+	};
+
+	/**
+	 * Function call tag {{> name(args)}} and {{>> name(args)}}. Plain name without parenthesis is called without
+	 * arguments.
+	 * @param {string} name
+	 * @returns {*}
+	 */
+	Context.prototype.functionCall = function(name) {
+		let node = this.parse(name),
+			negate = false;
+
+		if (node === undefined) {
+			return;
+		}
+
+		if (node.type === 'not') {
+			negate = true;
+			node = node.argument;
+		}
+
+		// Plain global name without parenthesis is called without arguments
+		if (node.type === 'path' && node.name[0] !== '$' && node.name[0] !== '#') {
+			node = {type: 'call', callee: node.name, args: []};
+		}
+
+		const result = this.evaluate(node);
+
+		return negate ? !result : result;
+	};
+
+	/**
+	 * Call function by name with given arguments. Names starting with $ or # are called from template data, others
+	 * from registered helpers or global scope.
+	 * @param {string} name
+	 * @param {Array} args
+	 * @returns {*}
+	 */
+	Context.prototype.call = function(name, args) {
+		try {
+			// If function call is to the templateData context
+			if (name[0] === '$' || name[0] === '#') {
+				return settleCall(this, name, this.lookup(name, args));
+			}
+
+			// &.name is same as name because calls are always resolved from global scope
+			if (name[0] === '&' && name[1] === '.') {
+				name = name.substring(2);
+			}
+
+			let namespaces = name.split(".");
+			let func = namespaces.pop();
+			let context = this.writer.helpers;
+
+			// Registered helpers are tried first and are called with current context as this
+			if (namespaces.length === 0 && typeof context[func] === 'function') {
+				return settleCall(this, name, context[func].apply(this, args));
+			}
+
+			if (this.writer.sandbox) {
+				throw new SandboxError(`"${name}" is not a registered helper`, name);
+			}
+
+			context = this.writer.getGlobal();
+
+			for (let i = 0; i < namespaces.length; i++) {
+				context = context[namespaces[i]];
+			}
+
+			return settleCall(this, name, context[func].apply(context, args));
+
+		} catch(/*Error*/error) {
+			// Sandbox violations are never swallowed
+			if (error instanceof SandboxError) {
+				throw error;
+			}
+
+			this.fail(`functionCall exception [Name: ${error.name}] [Func: ${name}] [Msg: ${error.message}]`, name, error);
+		}
+	};
+
+	/**
+	 * Find function of event handler by name without calling it. Name is looked up from template data like values
+	 * are and then from registered helpers - &.name looks only from registered helpers or global scope.
+	 * @param {string} name
+	 * @returns {{fn: Function, self: *}|undefined} Function and object it is called from
+	 */
+	Context.prototype.lookupHandler = function(name) {
+		let context = this,
+			skipParents = false;
+
+		if (name[0] === '&' && name[1] === '.') {
+			const scope = this.writer.sandbox ? this.writer.helpers : this.writer.getGlobal();
+			const fn = scope[name.substring(2)];
+
+			return typeof fn === 'function' ? {fn: fn, self: scope} : undefined;
+		}
+
+		if (name[0] === '#') {
+			context = this.root || this;
+			name = name.substring(2);
+			skipParents = true;
+
+		} else if (name[0] === '$' && name[1] === '.') {
+			name = name.substring(2);
+			skipParents = true;
+		}
+
+		const names = name.split('.');
+
+		while (context !== undefined) {
+			let self,
+				value = (context.locals !== undefined && context.locals[names[0]] !== undefined) ? context.locals :
+						context.view;
+
+			for (let x = 0; x < names.length && value !== undefined && value !== null; ++x) {
+				self = value;
+				value = readProperty(this.writer, value, names[x]);
+			}
+
+			if (typeof value === 'function') {
+				checkSandboxCall(this.writer, value, name);
+
+				return {fn: value, self: self};
+			}
+
+			if (value !== undefined || skipParents) {
+				break;
+			}
+
+			context = context.parent;
+
+			if (context === undefined && this.root !== undefined) {
+				context = this.root;
+				skipParents = true;
+			}
+		}
+
+		if (names.length === 1 && typeof this.writer.helpers[name] === 'function') {
+			return {fn: this.writer.helpers[name], self: this};
+		}
+	};
+
+	/**
+	 * Rejected promise of async helper in async render is handled like exception of function call
+	 * @param {Context} context
+	 * @param {string} name
+	 * @param {*} result
+	 * @returns {*}
+	 */
+	function settleCall(context, name, result) {
+		if (context.options.async !== true || !isThenable(result)) {
+			return result;
+		}
+
+		return result.then(undefined, function(error) {
+			const message = error instanceof Error ? error.message : String(error);
+
+			context.fail(`functionCall exception [Name: ${error && error.name}] [Func: ${name}] [Msg: ${message}]`, name,
+					error);
+		});
+	}
+
+	/**
+	 * Pass value through named filter of writer. Filters are called with current Context as this.
+	 * @param {string} name
+	 * @param {*} value
+	 * @param {Array} args
+	 * @returns {*}
+	 */
+	Context.prototype.filter = function(name, value, args) {
+		const filter = this.writer.filters[name];
+
+		if (filter === undefined) {
+			this.fail(`Unknown filter [${name}]`, name);
+			return value;
+		}
+
+		try {
+			return filter.apply(this, [value].concat(args));
+
+		} catch(/*Error*/error) {
+			this.fail(`filter exception [Name: ${error.name}] [Filter: ${name}] [Msg: ${error.message}]`, name, error);
+		}
+	};
+
+	/**
+	 * Parse expression source - syntax errors are reported and give undefined
+	 * @param {string} source
+	 * @returns {Object|undefined}
+	 */
+	Context.prototype.parse = function(source) {
+		try {
+			return parseExpression(source);
+
+		} catch(/*SyntaxError*/error) {
+			this.fail(`Invalid expression: ${error.message}`, source, error);
+		}
+	};
+
+	/**
+	 * Parse tag arguments source - syntax errors are reported and give undefined
+	 * @param {string} source
+	 * @returns {{positional: Array, named: Object}|undefined}
+	 */
+	Context.prototype.parseArguments = function(source) {
+		try {
+			return parseArguments(source);
+
+		} catch(/*SyntaxError*/error) {
+			this.fail(`Invalid arguments: ${error.message}`, source, error);
+		}
+	};
+
+	/**
+	 * Evaluate named tag arguments to plain object
+	 * @param {Object} named Named expression trees from parseArguments
+	 * @returns {Object}
+	 */
+	Context.prototype.evaluateNamed = function(named) {
+		const result = {};
+
+		Object.keys(named).forEach(function(name) {
+			result[name] = this.evaluate(named[name]);
+		}, this);
+
+		return result;
+	};
+
+	/**
+	 * Evaluate expression syntax tree in this context
+	 * @param {Object} node
+	 * @returns {*}
+	 */
+	Context.prototype.evaluate = function(node) {
+		switch (node.type) {
+			case 'literal':
+				return node.value;
+
+			case 'path':
+				return this.lookup(node.name);
+
+			case 'call':
+				return whenAll(this, node.args.map(this.evaluate, this), function(args) {
+					return this.call(node.callee, args);
+				}.bind(this));
+
+			case 'member':
+				// Unknown plain name inside brackets is used as key itself eg. {{item[name]}}
+				return whenAll(this, [this.evaluate(node.object), this.evaluate(node.property)], function(values) {
+					let key = values[1];
+
+					if (key === undefined && node.property.type === 'path') {
+						key = node.property.name;
+					}
+
+					return readProperty(this.writer, values[0], key);
+				}.bind(this));
+
+			case 'property':
+				return when(this, this.evaluate(node.object), function(value) {
+					node.name.split('.').forEach(function(name) {
+						value = readProperty(this.writer, value, name);
+					}, this);
+
+					return value;
+				}.bind(this));
+
+			case 'not':
+				return when(this, this.evaluate(node.argument), function(value) {
+					return !value;
+				});
+
+			case 'filter':
+				return whenAll(this, [this.evaluate(node.input)].concat(node.args.map(this.evaluate, this)),
+						function(values) {
+							return this.filter(node.name, values[0], values.slice(1));
+						}.bind(this));
+
+			case 'binary':
+				return whenAll(this, [this.evaluate(node.left), this.evaluate(node.right)], function(values) {
+					return compare(node.operator, values[0], values[1], this);
+				}.bind(this));
+
+			case 'logical':
+				return when(this, this.evaluate(node.left), function(value) {
+					if (node.operator === '&&') {
+						return value ? this.evaluate(node.right) : value;
+					}
+
+					return value ? value : this.evaluate(node.right);
+				}.bind(this));
+		}
+	};
+
+	/**
+	 * Parse and evaluate expression source eg. tag value
+	 * @param {string} source
+	 * @returns {*}
+	 */
+	Context.prototype.resolve = function(source) {
+		const node = this.parse(source);
+
+		return node === undefined ? undefined : this.evaluate(node);
+	};
+
+	/**
+	 * Returns the value of the given name in this context, traversing
+	 * up the context hierarchy if the value is absent in this context's view.
+	 */
+	Context.prototype.lookup = function(name, args) {
+		let firstChar = name[0],
+			cache, value, negate, context, functionPath;
+
+		// Check first if function because it has own negate system
+		if (name.indexOf('(') !== -1) {
+			return this.functionCall(name);
+		}
+
+		if (firstChar === '!') {
+			negate = true;
+			name = name.substring(1);
+			firstChar = name[0];
+		}
+
+		// Check if just string
+		if (firstChar === '"' || firstChar === "'") {
+			return name.substr(1, name.length - 2);
+		}
+
+		// If there is # as first character then root context is requested
+		if (firstChar === '#') {
 			context = this.root;
 			name = name.substr(2);
 			if (name === '') {
 				name = '$';
 			}
 
-		} else if (firstChar === '&') {
-			context = {
-				view: window,
-				cache: false
-			};
-			name = name.substr(2);
+		} else if (firstChar === '&') {
+			name = name.substr(2);
+
+			// Sandboxed writer resolves & only against registered helpers
+			if (this.writer.sandbox) {
+				if (!(name.split('.')[0] in this.writer.helpers)) {
+					throw new SandboxError(`"&.${name}" is not a registered helper`, name);
+				}
+
+				context = {
+					view: this.writer.helpers,
+					cache: false
+				};
+
+			} else {
+				context = {
+					view: this.writer.getGlobal(),
+					cache: false
+				};
+			}
+
+		} else {
+			context = this;
+		}
+
+		// Sandboxed data is read only through own properties and never up to constructors
+		if (this.writer.sandbox && name.split('.').some(function(part) {
+			return sandboxDeniedNames.indexOf(part) !== -1;
+		})) {
+			throw new SandboxError(`"${name}" can't be read`, name);
+		}
+
+		cache = context.cache;
+
+		// Check if item has been cached - notice that if item is a function call then it's not cached because
+		// function call context requires to be checked always and if items is in global context
+		if (cache && cache[name] !== undefined) {
+			value = cache[name];
+		} else {
+			let skipParents;
+
+			// If only current scope has been requested then skip parents and remove indicator
+			if (name[0] === '$' && name[1] === '.') {
+				skipParents = true;
+				name = name.substr(2);
+			}
+
+			while (context) {
+				// Loop metadata of each iteration is before data of iterated item
+				const view = (context.locals !== undefined && firstChar === '$' &&
+						context.locals[name.split('.')[0]] !== undefined) ? context.locals : context.view;
+
+				// Self handles this context for function calls that have depth in object tree. Otherwise prototype
+				// object calls could have incorrect this context inside function.
+				functionPath = view;
+
+				if (name.indexOf('.') > 0) {
+					let index = 0;
+					let names = name.split('.');
+
+					value = view;
+
+					while (value !== undefined && index < names.length) {
+						if (index > 0) {
+							functionPath = functionPath[names[index - 1]];
+						}
+
+						value = readProperty(this.writer, value, names[index++]);
+					}
+				} else {
+					value = readProperty(this.writer, view, name);
+				}
+
+				// If there is value or should skip parents then bail out
+				if (value !== undefined || skipParents) {
+					break;
+				}
+
+				context = context.parent;
+
+				// If parent context was undefined but there is a root then go there and mark that after this get out
+				// because this.root would otherwise generate loop
+				if (context === undefined && this.root !== undefined) {
+					context = this.root;
+					skipParents = true;
+				}
+			}
+		}
+
+		if (typeof value === 'function') {
+			checkSandboxCall(this.writer, value, name);
+			value = value.apply(functionPath, args || []);
+		} else {
+			if (cache !== false) {
+				cache[name] = value;
+			}
+		}
+
+		return negate ? !value : value;
+	};
+
+	/**
+	 * Do lookup for given name - reserved words (undefined, true, false, null), numbers and strings are literals and
+	 * everything else is evaluated as expression
+	 * @param {*} name
+	 * @returns {*}
+	 */
+	Context.prototype.lookupWithReserved = function(name) {
+		if (typeof name !== 'string') {
+			return name;
+		}
+
+		return this.resolve(name);
+	};
+
+	/**
+	 * Forms the given array of `tokens` into a nested tree structure where
+	 * tokens that represent a section have two additional items: 1) an array of
+	 * all tokens that appear in that section and 2) the index in the original
+	 * template that represents the end of that section.
+	 */
+	function nestTokens(tokens) {
+		let nestedTokens = [],
+			collector = nestedTokens,
+			sections = [],
+			i, numTokens, token, section;
+
+		for (i = 0, numTokens = tokens.length; i < numTokens; ++i) {
+			token = tokens[i];
+
+			// Partial is section when parser found closing tag for it
+			if (sectionTypes.indexOf(token[0]) !== -1 || (token[0] === '%' && token[4] !== undefined)) {
+				collector.push(token);
+				sections.push(token);
+				collector = token[4] = [];
+			} else if (token[0] === '/') {
+				section = sections.pop();
+
+				if (section === undefined) {
+					continue;
+				}
+
+				section[5] = token[2];
+				collector = sections.length > 0 ? sections[sections.length - 1][4] : nestedTokens;
+			} else {
+				collector.push(token);
+			}
+		}
+
+		return nestedTokens;
+	}
+
+	/**
+	 * Combines the values of consecutive text tokens in the given `tokens` array
+	 * to a single token.
+	 */
+	function squashTokens(tokens) {
+		let squashedTokens = [],
+			lastToken = [],
+			token, i, numTokens;
+
+		for (i = 0, numTokens = tokens.length; i < numTokens; ++i) {
+			token = tokens[i];
+
+			if (token) {
+				if (token[0] === 'text' && lastToken[0] === 'text') {
+					lastToken[1] += token[1];
+					lastToken[3] = token[3];
+				} else {
+					squashedTokens.push(token);
+					lastToken = token;
+				}
+			}
+		}
+
+		return squashedTokens;
+	}
+
+	/**
+	 * Breaks up the given `template` string into a tree of tokens. If the `tags`
+	 * argument is given here it must be an array with two string values: the
+	 * opening and closing tags used in the template (e.g. [ "{{", "}}" ]).
+	 *
+	 * A token is an array with at least 4 elements. The first element is the
+	 * template tag symbol that was used inside the tag, e.g. "#" or "&". If the tag
+	 * did not contain a symbol (i.e. {{myValue}}) this element is "name". For
+	 * all text that appears outside a symbol this element is "text".
+	 *
+	 * The second element of a token is its "value". For template tags this is
+	 * whatever else was inside the tag besides the opening symbol. For text tokens
+	 * this is the text itself.
+	 *
+	 * The third and fourth elements of the token are the start and end indices,
+	 * respectively, of the token in the original template.
+	 *
+	 * Output tokens (name and t) have escaping context as seventh element eg. "html", "attr", "url", "css",
+	 * "style", "script" or "event" - attribute contexts have "-unquoted" suffix when value has no quotes.
+	 *
+	 * Tokens that are the root node of a subtree contain two more elements: 1) an
+	 * array of tokens in the subtree and 2) the index in the original template at
+	 * which the closing tag for that section begins.
+	 *
+	 * @private
+	 * @param {string} name
+	 * @param {string} template
+	 * @param {Writer} writer
+	 * @param {Object} [options]
+	 * @param {string} [options.whitespace] 'collapse' or 'preserve' - defaults to writer whitespace mode
+	 * @returns {{tokens: Array, diagnostics: Array.<Object>}}
+	 */
+	function parseTemplate(name, template, writer, options) {
+		let sections = [],		 // Stack to hold section tokens
+			tokens = [],			 // Buffer to hold the tokens
+			diagnostics = [],	 // Problems found from template
+			trimNext = false,	 // Previous tag ended with ~ so leading whitespace of next text is removed
+			finalElse = new Set(), // If sections that already have plain else
+			promiseBranches = new Map(), // Branch types of promise sections
+			blocks = new Set(), // Names of blocks in template
+			layout = false,		 // Template has {{extends}}
+			html = new HtmlContext(), // HTML position of template text for escaping context of output tags
+			start, type, value, token, openSection, partialArguments;
+
+		if (!template) {
+			return {tokens: [], diagnostics: diagnostics};
+		}
+
+		let openingTagRe = new RegExp(escapeRegExp(writer.tags[0]) + '\\s*'),
+			closingTagRe = new RegExp('\\s*' + escapeRegExp(writer.tags[1])),
+			scanner = new Scanner(template),
+			preserve = ((options && options.whitespace) || writer.whitespace) === WHITESPACE_PRESERVE;
+
+		/**
+		 * Add diagnostic of template source between given positions
+		 * @param {string} code
+		 * @param {string} message
+		 * @param {number} from
+		 * @param {number} to
+		 */
+		function report(code, message, from, to) {
+			const diagnostic = createDiagnostic(code, message, name, template, from, to);
+
+			diagnostics.push(diagnostic);
+			logMessage(`${message} at ${diagnostic.line}:${diagnostic.column}`, TYPE_ERROR,
+					{template: name, diagnostic: diagnostic});
+		}
+
+		/**
+		 * Innermost open section that is not partial - partials are sections only if they are closed
+		 * @returns {Array|undefined}
+		 */
+		function currentSection() {
+			for (let x = sections.length - 1; x >= 0; --x) {
+				if (sections[x][0] !== '%') {
+					return sections[x];
+				}
+			}
+		}
+
+		/**
+		 * Take innermost open partial with given name (or any name) from sections. Partials above it are not sections.
+		 * @param {string} partial Template name or empty for any
+		 * @returns {Array|undefined}
+		 */
+		function closePartial(partial) {
+			for (let x = sections.length - 1; x >= 0 && sections[x][0] === '%'; --x) {
+				if (partial === '' || blockName(partialRe.exec(sections[x][1])[1]) === partial) {
+					return sections.splice(x).shift();
+				}
+			}
+		}
+
+		/**
+		 * Validate tag value that is evaluated as expression
+		 * @param {Function} parser parseExpression or parseArguments
+		 * @param {string} source
+		 */
+		function validate(parser, source) {
+			try {
+				parser(source);
+
+			} catch(/*SyntaxError*/error) {
+				report('invalid-expression', `Invalid expression: ${error.message}`, start, scanner.pos);
+			}
+		}
+
+		while (!scanner.eos()) {
+			start = scanner.pos;
+
+			// Match any text between tags.
+			value = scanner.scanUntil(openingTagRe);
+
+			if (value) {
+				let text = trimNext ? value.replace(/^\s+/, '') : value;
+
+				if (!preserve) {
+					text = text.replace(/ +/g, ' ').replace(/[\t\n]/g, '');
+				}
+
+				if (text) {
+					tokens.push(['text', text, start, value.length]);
+					html.consume(text);
+				}
+
+				start += value.length;
+			}
+
+			trimNext = false;
+
+			// Match the opening tag - Check if there is any opening tags or is this just plain text
+			if (!scanner.scan(openingTagRe)) {
+				break;
+			}
+
+			// Whitespace control - {{~ removes whitespace from end of previous text
+			if (scanner.scan(trimRe)) {
+				let previous = tokens[tokens.length - 1];
+
+				scanner.scan(whiteRe);
+
+				if (previous !== undefined && previous[0] === 'text') {
+					previous[1] = previous[1].replace(/\s+$/, '');
+
+					if (previous[1] === '') {
+						tokens.pop();
+					}
+				}
+			}
+
+			// Get the tag type.
+			type = scanner.scan(writer.tagRe).trim() || 'name';
+
+			// Skip over whitespace if there is some
+			scanner.scan(whiteRe);
+
+			// Get the tag value - scan until closing tag
+			value = scanner.scanUntil(closingTagRe);
+
+			// Match the closing tag.
+			if (!scanner.scan(closingTagRe)) {
+				report('unclosed-tag', 'Unclosed tag', start, scanner.pos);
+			}
+
+			// Whitespace control - ~}} removes whitespace from start of next text
+			if (value[value.length - 1] === '~') {
+				value = value.substring(0, value.length - 1);
+				trimNext = true;
+			}
+
+			value = value.trim();
+
+			// {{super}} and {{slot}} have no arguments so they can't be recognized by tag RegExp
+			if (type === 'name' && (value === 'super' || value === 'slot')) {
+				type = value;
+				value = '';
+			}
+
+			// Branches of promise section are recognized only inside it
+			openSection = currentSection();
+
+			if (type === 'name' && promiseBranchTypes.indexOf(value) !== -1 && openSection !== undefined &&
+					openSection[0] === 'promise') {
+				type = value;
+				value = '';
+			}
+
+			token = [type, value, start, scanner.pos];
+
+			switch(type) {
+				case 'name':
+				case 't':
+					// Output escaping depends on where in HTML the tag is
+					token[6] = html.current();
+					html.output();
+
+					if (token[6] === CONTEXT_EVENT) {
+						report('unsafe-context', 'Tag inside event handler attribute is refused', start, scanner.pos);
+					}
+
+					validate(type === 't' ? parseArguments : parseExpression, value);
+					break;
+
+				case '>>':
+				case 'html':
+					html.output();
+					validate(parseExpression, value);
+					break;
+
+				case '>':
+					validate(parseExpression, value);
+					break;
+
+				case 'if':
+				case 'get':
+					sections.push(token);
+					validate(parseExpression, value);
+					break;
+
+				case 'each':
+					sections.push(token);
+					validate(parseArguments, value);
+
+					if (argumentCache[value] !== undefined && (argumentCache[value].positional.length !== 1 ||
+							Object.keys(argumentCache[value].named).some(function(name) {
+								return name !== 'key';
+							}))) {
+						report('invalid-arguments', 'each takes collection and optional key eg. items key=id', start,
+								scanner.pos);
+					}
+
+					// Keyed items are marked for DOM patching only when loop writes to text between elements
+					if (html.state === 'text') {
+						token[6] = CONTEXT_HTML;
+					}
+					break;
+
+				case 'promise':
+					sections.push(token);
+					validate(parseArguments, value);
+					break;
+
+				case 'pending':
+				case 'catch':
+				case 'timeout':
+					if (openSection === undefined || openSection[0] !== 'promise') {
+						report('orphan-branch', `${type} outside of promise section`, start, scanner.pos);
+						break;
+					}
+
+					if (!promiseBranches.has(openSection)) {
+						promiseBranches.set(openSection, new Set());
+					}
+
+					if (promiseBranches.get(openSection).has(type)) {
+						report('duplicate-branch', `${type} is already in promise section "${openSection[1]}"`, start,
+								scanner.pos);
+					}
+
+					promiseBranches.get(openSection).add(type);
+
+					if (!/^[\w$]*$/.test(value)) {
+						report('invalid-branch', `Invalid catch variable "${value}"`, start, scanner.pos);
+					}
+					break;
+
+				case '%':
+					// Partial is section only if it's closed so it's left to sections until that is known
+					sections.push(token);
+
+					// Partial output is escaped by where partial is written
+					token[6] = html.current();
+					html.output();
+
+					if (token[6] === CONTEXT_EVENT) {
+						report('unsafe-context', 'Partial inside event handler attribute is refused', start, scanner.pos);
+					}
+
+					partialArguments = partialRe.exec(value)[2];
+
+					if (partialRe.exec(value)[1] === '') {
+						report('invalid-partial', 'Partial without template name', start, scanner.pos);
+
+					} else if (partialArguments !== '') {
+						validate(parseArguments, partialArguments);
+
+						if (argumentCache[partialArguments] !== undefined &&
+								argumentCache[partialArguments].positional.length > 0) {
+							report('invalid-arguments', 'Partial arguments must be named eg. title=item.name', start,
+									scanner.pos);
+						}
+					}
+					break;
+
+				case 'block':
+				case 'fill':
+					sections.push(token);
+
+					if (blockName(value) === '' && type === 'fill') {
+						report('invalid-block', 'Fill without slot name', start, scanner.pos);
+						break;
+					}
+
+					if (type === 'fill') {
+						break;
+					}
+
+					if (blockName(value) === '') {
+						report('invalid-block', 'Block without name', start, scanner.pos);
+
+					} else if (blocks.has(blockName(value))) {
+						report('duplicate-block', `Block "${blockName(value)}" is already defined`, start, scanner.pos);
+					}
+
+					blocks.add(blockName(value));
+					break;
+
+				case 'on':
+					validate(parseArguments, value);
+
+					if (!html.insideStartTag()) {
+						report('invalid-event', 'on must be inside start tag eg. <button {{on "click" save}}>', start,
+								scanner.pos);
+
+					} else if (argumentCache[value] !== undefined && !validEventArguments(argumentCache[value])) {
+						report('invalid-event', 'on takes event name, handler name and arguments eg. ' +
+								'{{on "click" remove id}}', start, scanner.pos);
+					}
+					break;
+
+				case 'extends':
+					if (layout || sections.length > 0) {
+						report('invalid-extends', 'extends must be used once outside of sections', start, scanner.pos);
+					}
+
+					layout = true;
+					break;
+
+				case '/':
+					// {{/%}} closes innermost partial and {{/% name}} innermost partial of that name
+					if (value === '%' || value.indexOf('% ') === 0) {
+						openSection = closePartial(blockName(value.substring(1).trim()));
+
+						if (openSection === undefined) {
+							report('unopened-section', `Unopened section "${value}"`, start, scanner.pos);
+							continue;
+						}
+
+						openSection[4] = [];
+						break;
+					}
+
+					// Partials without closing tag are not sections
+					while (sections.length > 0 && sections[sections.length - 1][0] === '%') {
+						sections.pop();
+					}
+
+					// Check section nesting.
+					openSection = sections.pop();
+
+					if (!openSection) {
+						report('unopened-section', `Unopened section "${value}"`, start, scanner.pos);
+
+						// Closing tag without section is left out so that it does not close wrong section
+						continue;
+					}
+
+					if (openSection[0] !== value) {
+						report('mismatched-section', `Section "${openSection[0]} ${openSection[1]}" closed with "/${value}"`,
+								start, scanner.pos);
+					}
+					break;
+
+				case 'else':
+
+					// {{else if x}} and {{elseif x}} carry condition of next branch - plain {{else}} has none
+					token[1] = value.replace(elseIfRe, '');
+
+					if (openSection !== undefined && openSection[0] === 'each' && token[1] !== value) {
+						report('invalid-else', `each section can't have else if "${value}"`, start, scanner.pos);
+
+					} else if (openSection === undefined || (openSection[0] !== 'if' && openSection[0] !== 'each')) {
+						report('orphan-else', 'else outside of if or each section', start, scanner.pos);
+
+					} else if (finalElse.has(openSection)) {
+						report('else-after-else', `else after final else in ${openSection[0]} section "${openSection[1]}"`, start,
+								scanner.pos);
+
+					} else if (token[1] === value) {
+						if (value !== '') {
+							report('invalid-else', `Invalid else "${value}"`, start, scanner.pos);
+
+							// Reported argument is left out so that this renders as final else
+							token[1] = '';
+						}
+
+						finalElse.add(openSection);
+
+					} else {
+						validate(parseExpression, token[1]);
+					}
+					break;
+			}
+
+			tokens.push(token);
+		}
+
+		// Make sure there are no open sections when we're done.
+		while ((openSection = sections.pop()) !== undefined) {
+			if (openSection[0] === '%') {
+				continue;
+			}
+
+			report('unclosed-section', `Unclosed section "${openSection[0]} ${openSection[1]}"`, openSection[2],
+					openSection[3]);
+		}
+
+		return {tokens: nestTokens(squashTokens(tokens)), diagnostics: diagnostics};
+	}
+
+	/**
+	 * Restore undefined token fields that JSON turned to null in precompiled bundle
+	 * @param {Array} tokens
+	 * @returns {Array}
+	 */
+	function reviveTokens(tokens) {
+		for (let x = 0; x < tokens.length; ++x) {
+			const token = tokens[x];
+
+			for (let y = 0; y < token.length; ++y) {
+				if (token[y] === null) {
+					token[y] = undefined;
+				}
+			}
+
+			if (Array.isArray(token[4])) {
+				reviveTokens(token[4]);
+			}
+		}
+
+		return tokens;
+	}
+
+	/**
+	 * Name of block from {{block}} tag value - quotes are optional
+	 * @param {string} value
+	 * @returns {string}
+	 */
+	function blockName(value) {
+		const quoted = quotedNameRe.exec(value);
+
+		return quoted !== null ? quoted[2] : value;
+	}
+
+	/**
+	 * Template name from tag value - quoted name is used as is and otherwise name is looked up from context and
+	 * value itself is used when lookup does not find string
+	 * @param {string} value
+	 * @param {Context} context
+	 * @returns {string}
+	 */
+	function templateNameOf(value, context) {
+		const quoted = quotedNameRe.exec(value);
+
+		if (quoted !== null) {
+			return quoted[2];
+		}
+
+		const name = context.lookup(value);
+
+		return typeof name === 'string' && name !== '' ? name : value;
+	}
+
+	/**
+	 * Find first top level token of given type
+	 * @param {Array} tokens
+	 * @param {string} type
+	 * @returns {Array|undefined}
+	 */
+	function findToken(tokens, type) {
+		for (let x = 0; x < tokens.length; ++x) {
+			if (tokens[x][0] === type) {
+				return tokens[x];
+			}
+		}
+	}
+
+	/**
+	 * Collect content of all blocks in token tree by block name
+	 * @param {Array} tokens
+	 * @param {Object.<Array>} blocks
+	 * @returns {Object.<Array>}
+	 */
+	function collectBlocks(tokens, blocks) {
+		for (let x = 0; x < tokens.length; ++x) {
+			const token = tokens[x];
+
+			if (token[0] === 'block' && blocks[blockName(token[1])] === undefined) {
+				blocks[blockName(token[1])] = token[4];
+			}
+
+			if (Array.isArray(token[4])) {
+				collectBlocks(token[4], blocks);
+			}
+		}
+
+		return blocks;
+	}
+
+	/**
+	 * A Writer knows how to take a stream of tokens and render them to a
+	 * string, given a context. It also maintains a cache of templates to
+	 * avoid the need to parse the same template twice.
+	 *
+	 * Every Writer is own environment with own delimiter tags, token handlers, helpers and escape function so
+	 * several template sets can live on same page without affecting each other.
+	 * @constructor
+	 * @this {Writer}
+	 * @param {Object} [options]
+	 * @param {string[]} [options.tags] Opening and closing tags eg. ['<%', '%>']
+	 * @param {Object.<Function>} [options.tokenHandlers] Extra token handlers by tag name
+	 * @param {Object.<Function>} [options.helpers] Helpers callable from templates with parenthesis
+	 * @param {Object.<Function>} [options.filters] Filters usable with pipe eg. {{price | currency:"EUR"}}
+	 * @param {Function} [options.escape] HTML escape function for {{name}} output
+	 * @param {string} [options.mode='html'] Output mode html, text, json or csv
+	 * @param {Object} [options.global] Global scope for & lookups and function calls - defaults to late.globalScope
+	 * @param {string} [options.whitespace='collapse'] 'preserve' keeps template text exactly as authored
+	 * @param {string|string[]} [options.locale] Locale for Intl helpers - defaults to runtime locale
+	 * @param {string|string[]} [options.fallbackLocale] Locales tried when message is missing from render locale
+	 * @param {Object.<Object>} [options.messages] Message catalogs by locale for {{t}} tag
+	 * @param {boolean} [options.sandbox=false] Resolve parenthesis calls and & lookups only against registered helpers
+	 * @param {boolean} [options.strict=false] Throw LateParseError from parse when template has errors and
+	 *     LateRenderError from render on missing values, missing templates and failed calls
+	 * @param {function(string): (string|Promise<string>)} [options.resolver] Loads missing templates by name
+	 * @param {number} [options.maxDepth=100] Maximum depth of included templates and layouts
+	 */
+	function Writer(options) {
+		options = options || {};
+
+		this.current = '';
+
+		/**
+		 * Token that is being rendered - given to logged events
+		 * @type {Array|undefined}
+		 */
+		this.token = undefined;
+
+		/**
+		 * Cached templates
+		 * @type {Object.<{tokens: Array, template: string}|undefined>}
+		 */
+		this.cache = Object.create(null);
+
+		/**
+		 * Opening and closing tags
+		 * @type {string[]}
+		 */
+		this.tags = tags.slice();
+
+		/**
+		 * Special tags of this writer
+		 * @type {string[]}
+		 */
+		this.tagReList = tagReList.slice();
+
+		/**
+		 * RegExp for special tags built from tagReList
+		 * @type {RegExp}
+		 */
+		this.tagRe = buildTagRe(this.tagReList);
+
+		/**
+		 * @type {Object.<Function>}
+		 */
+		this.tokenHandlers = Object.assign(Object.create(null), tokenHandlers);
+
+		/**
+		 * @type {Object.<Function>}
+		 */
+		this.helpers = Object.assign(Object.create(null), helpers);
+
+		/**
+		 * @type {Object.<Function>}
+		 */
+		this.filters = Object.assign(Object.create(null), filters);
+
+		/**
+		 * @type {Function}
+		 */
+		this.escape = typeof options.escape === 'function' ? options.escape : escapeHtml;
+
+		/**
+		 * Output mode that picks escaping of {{name}} values
+		 * @type {string}
+		 */
+		this.mode = 'html';
+
+		if (options.mode !== undefined) {
+			this.setMode(options.mode);
+		}
+
+		/**
+		 * @type {Object|undefined}
+		 */
+		this.global = options.global;
+
+		/**
+		 * When sandboxed templates can't reach global scope and anything else than helpers throws SandboxError
+		 * @type {boolean}
+		 */
+		this.sandbox = options.sandbox === true;
+
+		/**
+		 * Strict writer throws on template errors instead of reporting them
+		 * @type {boolean}
+		 */
+		this.strict = options.strict === true;
+
+		/**
+		 * Maximum depth of included templates and layouts
+		 * @type {number}
+		 */
+		this.maxDepth = MAX_DEPTH;
+
+		if (options.maxDepth !== undefined) {
+			this.setMaxDepth(options.maxDepth);
+		}
+
+		/**
+		 * Whitespace handling of template text - 'collapse' or 'preserve'
+		 * @type {string}
+		 */
+		this.whitespace = options.whitespace === WHITESPACE_PRESERVE ? WHITESPACE_PRESERVE : WHITESPACE_COLLAPSE;
+
+		/**
+		 * Locale for Intl helpers when render call does not give one
+		 * @type {string|string[]|undefined}
+		 */
+		this.locale = options.locale;
+
+		/**
+		 * Locales tried when message is not found from render locale
+		 * @type {string|string[]|undefined}
+		 */
+		this.fallbackLocale = options.fallbackLocale;
+
+		/**
+		 * Loads missing templates by name - returns template source or Promise of it
+		 * @type {function(string): (string|Promise<string>)|undefined}
+		 */
+		this.resolver = typeof options.resolver === 'function' ? options.resolver : undefined;
+
+		/**
+		 * Promises of templates that resolver is loading
+		 * @type {Object.<Promise>}
+		 */
+		this.loading = Object.create(null);
+
+		/**
+		 * Message catalogs by locale - keys are flattened to dotted message ids
+		 * @type {Object.<Object.<string>>}
+		 */
+		this.messages = Object.create(null);
+
+		if (options.messages !== undefined) {
+			Object.keys(options.messages).forEach(function(locale) {
+				this.addMessages(locale, options.messages[locale]);
+			}, this);
+		}
+
+		if (options.tags !== undefined) {
+			this.setTags(options.tags);
+		}
+
+		if (options.tokenHandlers !== undefined) {
+			Object.keys(options.tokenHandlers).forEach(function(name) {
+				this.addTokenHandler(name, options.tokenHandlers[name]);
+			}, this);
+		}
+
+		if (options.helpers !== undefined) {
+			Object.keys(options.helpers).forEach(function(name) {
+				this.registerHelper(name, options.helpers[name]);
+			}, this);
+		}
+
+		if (options.filters !== undefined) {
+			Object.keys(options.filters).forEach(function(name) {
+				this.registerFilter(name, options.filters[name]);
+			}, this);
+		}
+	}
+
+	/**
+	 * Get global scope of this writer
+	 * @returns {Object}
+	 */
+	Writer.prototype.getGlobal = function() {
+		return this.global !== undefined ? this.global : globalScope;
+	};
+
+	/**
+	 * Get opening and closing tags
+	 * @returns {string[]}
+	 */
+	Writer.prototype.getTags = function() {
+		return this.tags;
+	};
+
+	/**
+	 * Set opening and closing tags used when parsing templates
+	 * @param {string[]} override
+	 */
+	Writer.prototype.setTags = function(override) {
+		if (!Array.isArray(override) || override.length !== 2) {
+			logMessage(`Invalid tags: ${JSON.stringify(override)}`, TYPE_ERROR);
+			return;
+		}
+
+		this.tags = override.slice();
+	};
+
+	/**
+	 * Add new token handler
+	 * Added function has access as parameters to token:Array, context:Context and writer:Writer
+	 * @param {string} name
+	 * @param {Function} handler
+	 */
+	Writer.prototype.addTokenHandler = function(name, handler) {
+		if (this.tagReList.indexOf(name) === -1) {
+			this.tagReList.push(name);
+			this.tagRe = buildTagRe(this.tagReList);
+			this.tokenHandlers[name] = handler;
+
+		} else {
+			logMessage(`late::addTokenHandler [${name}] already exists as token handler`, TYPE_ERROR);
+		}
+	};
+
+	/**
+	 * Register filter that templates can use with pipe eg. {{price | currency:"EUR"}}
+	 * Filter gets piped value as first argument and filter arguments after it. Filters are called with current Context
+	 * as this.
+	 * @param {string} name
+	 * @param {Function} filter
+	 */
+	Writer.prototype.registerFilter = function(name, filter) {
+		if (typeof filter !== 'function') {
+			logMessage(`late::registerFilter [${name}] is not a function`, TYPE_ERROR);
+			return;
+		}
+
+		this.filters[name] = filter;
+	};
+
+	/**
+	 * Set HTML escape function
+	 * @param {Function} escape
+	 */
+	Writer.prototype.setEscape = function(escape) {
+		if (typeof escape !== 'function') {
+			logMessage(`late::setEscape escape is not a function`, TYPE_ERROR);
+			return;
+		}
+
+		this.escape = escape;
+	};
+
+	/**
+	 * Set output mode: html escapes by HTML context, text writes values as is, json escapes for JSON string content
+	 * and csv quotes fields
+	 * @param {string} mode
+	 */
+	Writer.prototype.setMode = function(mode) {
+		if (outputModes[mode] === undefined) {
+			logMessage(`late::setMode unknown output mode [${mode}]`, TYPE_ERROR);
+			return;
+		}
+
+		this.mode = mode;
+	};
+
+	/**
+	 * Set locale used by Intl helpers when render call does not give one
+	 * @param {string|string[]|undefined} locale
+	 */
+	Writer.prototype.setLocale = function(locale) {
+		this.locale = locale;
+	};
+
+	/**
+	 * Set locales that are tried when message is not found from render locale
+	 * @param {string|string[]|undefined} locale
+	 */
+	Writer.prototype.setFallbackLocale = function(locale) {
+		this.fallbackLocale = locale;
+	};
+
+	/**
+	 * Add messages to catalog of given locale. Nested objects are flattened to dotted keys.
+	 * @param {string} locale
+	 * @param {Object} messages
+	 */
+	Writer.prototype.addMessages = function(locale, messages) {
+		if (messages === null || typeof messages !== 'object') {
+			logMessage(`late::addMessages [${locale}] messages is not an object`, TYPE_ERROR);
+			return;
+		}
+
+		this.messages[locale] = flattenMessages(messages, '', this.messages[locale] || Object.create(null));
+	};
+
+	/**
+	 * Load messages of given locale. Source is catalog object, Promise of it or function that gets locale and returns
+	 * either of those eg. locale => fetch(`/i18n/${locale}.json`).then(response => response.json())
+	 * @param {string} locale
+	 * @param {Object|Promise|Function} source
+	 * @returns {Promise}
+	 */
+	Writer.prototype.loadMessages = function(locale, source) {
+		const writer = this;
+
+		return Promise.resolve(typeof source === 'function' ? source(locale) : source).then(function(messages) {
+			writer.addMessages(locale, messages);
+		});
+	};
+
+	/**
+	 * Find message by key from given locales, their base languages and then fallback locales
+	 * @param {string} key
+	 * @param {string|string[]|undefined} locale
+	 * @returns {string|undefined}
+	 */
+	Writer.prototype.getMessage = function(key, locale) {
+		if (locale === undefined && typeof Intl !== 'undefined') {
+			locale = Intl.DateTimeFormat().resolvedOptions().locale;
+		}
+
+		const candidates = localeCandidates(locale).concat(localeCandidates(this.fallbackLocale));
+
+		for (let x = 0; x < candidates.length; x++) {
+			const catalog = this.messages[candidates[x]];
+
+			if (catalog !== undefined && catalog[key] !== undefined) {
+				return catalog[key];
+			}
+		}
+	};
+
+	/**
+	 * Enable or disable sandbox mode
+	 * @param {boolean} enabled
+	 */
+	Writer.prototype.setSandbox = function(enabled) {
+		this.sandbox = enabled === true;
+	};
+
+	/**
+	 * Set maximum depth of included templates and layouts
+	 * @param {number} depth
+	 */
+	Writer.prototype.setMaxDepth = function(depth) {
+		if (typeof depth !== 'number' || !(depth >= 1)) {
+			logMessage(`late::setMaxDepth depth must be positive number`, TYPE_ERROR);
+			return;
+		}
+
+		this.maxDepth = depth;
+	};
+
+	/**
+	 * Register helper function that templates can call with parenthesis eg. {{>> format(value)}}
+	 * Helpers are called with current Context as this.
+	 * @param {string} name
+	 * @param {Function} helper
+	 */
+	Writer.prototype.registerHelper = function(name, helper) {
+		if (typeof helper !== 'function') {
+			logMessage(`late::registerHelper [${name}] is not a function`, TYPE_ERROR);
+			return;
+		}
+
+		this.helpers[name] = helper;
+	};
+
+	/**
+	 * Clears all cached templates in this writer.
+	 */
+	Writer.prototype.clearCache = function() {
+		this.cache = Object.create(null);
+	};
+
+	/**
+	 * Clears all cached templates in this writer.
+	 * @param {string} name
+	 */
+	Writer.prototype.exists = function(name) {
+		return this.cache[name] !== undefined;
+	};
+
+	/**
+	 * Get whole template data of given template name
+	 * @param {string} name
+	 * @returns {{tokens: Array, template: string}}
+	 */
+	Writer.prototype.getTemplate = function(name) {
+		if (this.cache[name] === undefined) {
+			// Start loading with resolver so template is available when it's needed next time
+			if (this.resolver !== undefined) {
+				logMessage(`getTemplate - Loading template with resolver: ${name}`, TYPE_DEBUG,
+						{template: this.current, path: name});
+
+				this.resolveTemplate(name).catch(function() {});
+
+			} else {
+				logMessage(`getTemplate - Given template name does not exist: ${name}`, TYPE_ERROR,
+						{template: this.current, path: name});
+			}
+		}
+
+		return this.cache[name];
+	};
+
+	/**
+	 * Set function that loads missing templates by name. Resolver returns template source or Promise of it.
+	 * @param {function(string): (string|Promise<string>)|undefined} resolver
+	 */
+	Writer.prototype.setResolver = function(resolver) {
+		if (resolver !== undefined && typeof resolver !== 'function') {
+			logMessage(`late::setResolver resolver is not a function`, TYPE_ERROR);
+			return;
+		}
+
+		this.resolver = resolver;
+	};
+
+	/**
+	 * Get template from cache or load and parse it with resolver. Same template is loaded only once at a time.
+	 * @param {string} name
+	 * @returns {Promise<{tokens: Array, template: string}>}
+	 */
+	Writer.prototype.resolveTemplate = function(name) {
+		const writer = this;
+
+		if (this.cache[name] !== undefined) {
+			return Promise.resolve(this.cache[name]);
+		}
+
+		if (this.resolver === undefined) {
+			return Promise.reject(new LateRenderError(`Template "${name}" does not exist`, name));
+		}
+
+		if (this.loading[name] === undefined) {
+			this.loading[name] = Promise.resolve().then(function() {
+				return writer.resolver(name);
+
+			}).then(function(template) {
+				delete writer.loading[name];
+
+				if (typeof template !== 'string') {
+					throw new LateRenderError(`Resolver did not return template "${name}"`, name);
+				}
+
+				writer.parse(name, template);
+
+				return writer.cache[name];
+
+			}, function(error) {
+				delete writer.loading[name];
+
+				logMessage(`resolveTemplate - Loading template ${name} failed`, TYPE_ERROR, {path: name, error: error});
+
+				throw error;
+			});
+		}
+
+		return this.loading[name];
+	};
+
+	/**
+	 * Parse templates from <script type="text/x-late" id="name"> and <template data-late="name"> elements. Template
+	 * element without data-late value uses its id as name. Markup of template element is HTML serialized so
+	 * characters that serializing encodes are decoded inside tags.
+	 * @param {Document|Element} [root] Defaults to document of global scope
+	 * @param {Object} [options] Parse options @see Writer.parse
+	 * @returns {string[]} Names of parsed templates
+	 */
+	Writer.prototype.loadFromDocument = function(root, options) {
+		root = root || this.getGlobal().document;
+
+		if (root === undefined || typeof root.querySelectorAll !== 'function') {
+			logMessage(`late::loadFromDocument requires a document or element`, TYPE_ERROR);
+			return [];
+		}
+
+		const names = [],
+			elements = root.querySelectorAll('script[type="text/x-late"], template[data-late]');
+
+		for (let x = 0; x < elements.length; ++x) {
+			const element = elements[x],
+				isScript = element.tagName.toLowerCase() === 'script',
+				name = (isScript ? '' : element.getAttribute('data-late')) || element.id;
+
+			if (!name) {
+				logMessage(`late::loadFromDocument template element without name skipped`, TYPE_ERROR);
+				continue;
+			}
+
+			this.parse(name, isScript ? element.textContent : decodeTemplateTags(element.innerHTML, this.tags),
+					options);
+			names.push(name);
+		}
+
+		return names;
+	};
+
+	/**
+	 * Parse all template files of directory tree in Node. Template name is file path relative to directory without
+	 * extension and with / separators eg. partials/card.html is partials/card.
+	 * @param {string} directory
+	 * @param {Object} [options] Parse options @see Writer.parse
+	 * @param {string[]} [options.extensions=['.html', '.late']] Extensions of template files
+	 * @returns {string[]} Names of parsed templates
+	 */
+	Writer.prototype.loadDirectory = function(directory, options) {
+		// module.require keeps bundlers from trying to include Node modules to browser builds
+		if (typeof module !== 'object' || typeof module.require !== 'function') {
+			logMessage(`late::loadDirectory requires Node.js`, TYPE_ERROR);
+			return [];
+		}
+
+		const fs = module.require('fs'),
+			path = module.require('path'),
+			extensions = (options && options.extensions) || ['.html', '.late'],
+			names = [];
+
+		const read = function(current, prefix) {
+			const entries = fs.readdirSync(current, {withFileTypes: true});
+
+			for (let x = 0; x < entries.length; ++x) {
+				const entry = entries[x],
+					file = path.join(current, entry.name);
+
+				if (entry.isDirectory()) {
+					read(file, `${prefix}${entry.name}/`);
+					continue;
+				}
+
+				const extension = path.extname(entry.name);
+
+				if (entry.isFile() && extensions.indexOf(extension) !== -1) {
+					const name = prefix + entry.name.substring(0, entry.name.length - extension.length);
+
+					this.parse(name, fs.readFileSync(file, 'utf8'), options);
+					names.push(name);
+				}
+			}
+		}.bind(this);
+
+		read(directory, '');
+
+		return names;
+	};
+
+	//noinspection JSUnusedGlobalSymbols
+	/**
+	 * Get tokens of named template
+	 * @param name
+	 * @returns {Array}
+	 */
+	Writer.prototype.getTokens = function(name) {
+		if (this.cache[name] === undefined) {
+			logMessage(`getTokens - Given template name does not exist: ${name}`, TYPE_ERROR,
+					{template: this.current, path: name});
+		}
+
+		return this.cache[name].tokens;
+	};
+
+	/**
+	 * Get list of all templates in cache
+	 * @returns {Array}
+	 */
+	Writer.prototype.listTemplates = function() {
+		return Object.keys(this.cache);
+	};
+
+	/**
+	 * Parses and caches the given `template` and returns the list of diagnostics
+	 * found from it. Empty list means that template is valid.
+	 *
+	 * In strict mode template with diagnostics is not cached and LateParseError that has the diagnostics is thrown.
+	 * @param {string} name
+	 * @param {string} template
+	 * @param {Object} [options]
+	 * @param {string} [options.whitespace] 'collapse' or 'preserve' - overrides writer whitespace mode
+	 * @param {boolean} [options.strict] Throw LateParseError on errors - defaults to writer strict mode
+	 * @returns {Array.<{code: string, message: string, template: string, line: number, column: number,
+	 *     snippet: string, start: number, end: number}>}
+	 * @throws {LateParseError}
+	 */
+	Writer.prototype.parse = function(name, template, options) {
+		const result = parseTemplate(name, template, this, options);
+		const strict = (options && options.strict !== undefined) ? options.strict : this.strict;
+
+		if (strict && result.diagnostics.length > 0) {
+			throw new LateParseError(name, result.diagnostics);
+		}
+
+		const cache = this.cache[name] = Object.create(null);
+		cache.template = template;
+		cache.tokens = result.tokens;
+		cache.diagnostics = result.diagnostics;
+
+		return result.diagnostics;
+	};
+
+	/**
+	 * Parse templates and serialize their token trees to versioned bundle that Writer.load adds to cache without
+	 * parsing. Templates with errors, also cached ones, throw LateParseError so build fails on broken templates.
+	 * @param {Object.<string>} [templates] Template sources by name - defaults to all templates in cache
+	 * @param {Object} [options]
+	 * @param {string} [options.format='json'] json string, object, commonjs or esm module source
+	 * @param {boolean} [options.source=false] Include template source so render errors have line and column
+	 * @param {string} [options.whitespace] 'collapse' or 'preserve' @see Writer.parse
+	 * @returns {string|Object}
+	 * @throws {LateParseError}
+	 */
+	Writer.prototype.precompile = function(templates, options) {
+		options = options || {};
+
+		const bundle = {format: BUNDLE_FORMAT, version: BUNDLE_VERSION, templates: {}};
+
+		if (templates === undefined) {
+			Object.keys(this.cache).forEach(function(name) {
+				const data = this.cache[name];
+
+				if (data.diagnostics.length > 0) {
+					throw new LateParseError(name, data.diagnostics);
+				}
+
+				bundle.templates[name] = {tokens: data.tokens};
+
+				if (options.source === true) {
+					bundle.templates[name].template = data.template;
+				}
+			}, this);
+
+		} else {
+			Object.keys(templates).forEach(function(name) {
+				const result = parseTemplate(name, templates[name], this, options);
+
+				if (result.diagnostics.length > 0) {
+					throw new LateParseError(name, result.diagnostics);
+				}
+
+				bundle.templates[name] = {tokens: result.tokens};
+
+				if (options.source === true) {
+					bundle.templates[name].template = templates[name];
+				}
+			}, this);
+		}
+
+		switch (options.format) {
+			case 'object':
+				return JSON.parse(JSON.stringify(bundle));
+
+			case 'commonjs':
+				return `module.exports = ${JSON.stringify(bundle)};\n`;
+
+			case 'esm':
+				return `export default ${JSON.stringify(bundle)};\n`;
+
+			default:
+				return JSON.stringify(bundle);
+		}
+	};
+
+	/**
+	 * Add templates of precompiled bundle to cache. Bundle of other format version is rejected.
+	 * @param {Object|string} bundle Bundle object or its JSON
+	 * @returns {string[]} Names of loaded templates
+	 * @throws {Error}
+	 */
+	Writer.prototype.load = function(bundle) {
+		if (typeof bundle === 'string') {
+			bundle = JSON.parse(bundle);
+		}
+
+		if (bundle === null || typeof bundle !== 'object' || bundle.format !== BUNDLE_FORMAT) {
+			throw new Error(`late.js: Invalid template bundle`);
+		}
+
+		if (bundle.version !== BUNDLE_VERSION) {
+			throw new Error(`late.js: Template bundle version ${bundle.version} is not supported - ` +
+					`precompile templates again with version ${BUNDLE_VERSION}`);
+		}
+
+		const templates = bundle.templates;
+
+		// Whole bundle is checked before cache is changed so broken bundle loads nothing
+		if (templates === null || typeof templates !== 'object' || Array.isArray(templates) ||
+				Object.keys(templates).some(function(name) {
+					return templates[name] === null || typeof templates[name] !== 'object' ||
+							!Array.isArray(templates[name].tokens);
+				})) {
+			throw new Error(`late.js: Invalid template bundle`);
+		}
+
+		const names = Object.keys(templates);
+
+		for (let x = 0; x < names.length; ++x) {
+			const data = templates[names[x]];
+
+			const cache = this.cache[names[x]] = Object.create(null);
+			cache.template = data.template;
+			cache.tokens = reviveTokens(data.tokens);
+			cache.diagnostics = [];
+		}
+
+		return names;
+	};
+
+	/**
+	 * High-level method that is used to render the given `template` with
+	 * the given `view`.
+	 *
+	 * The optional `options` are available to helpers and token handlers through context.options for the whole
+	 * render eg. {locale: 'fi-FI'}.
+	 * @param {string} templateName
+	 * @param {Object|Context} view
+	 * @param {Object} [options]
+	 * @param {string|string[]} [options.locale] Locale for Intl helpers - defaults to writer locale
+	 * @param {string} [options.mode] Output mode html, text, json or csv - defaults to writer mode
+	 * @param {Function} [options.escape] HTML escape function - defaults to writer escape
+	 * @param {boolean} [options.strict] Throw LateRenderError on missing values, templates and failed calls -
+	 *     defaults to writer strict mode
+	 * @param {number} [options.maxDepth] Maximum depth of included templates - defaults to writer maxDepth
+	 * @param {AbortSignal} [options.signal] Aborting cancels rendering of promise sections that are not settled yet
+	 * @param {number} [options.timeout] Default timeout in milliseconds of promise sections
+	 * @param {boolean} [options.async] Handlers may return promises and render returns promise of output - use
+	 *     renderAsync
+	 * @returns {string|Promise<string>}
+	 */
+	Writer.prototype.render = function(templateName, view, options) {
+		let context = view;
+
+		if (context instanceof Context) {
+			context = context.derive({writer: this, options: options || context.options});
+
+			const includes = context.include(templateName);
+
+			if (includes === undefined) {
+				return '';
+			}
+
+			context = context.derive({template: templateName, includes: includes});
+
+		} else {
+			context = new Context(view);
+			context.writer = this;
+			context.template = templateName;
+			context.options = options || {};
+			context.includes = [{template: templateName, view: view, isolated: false}];
+		}
+
+		this.current = templateName;
+		this.token = undefined;
+
+		if (!this.exists(templateName)) {
+			// Async render waits for resolver to load template and sync render starts loading it for next render
+			if (this.resolver !== undefined) {
+				const loading = this.resolveTemplate(templateName);
+
+				if (context.options.async === true) {
+					return loading.then(function() {
+						return this.renderTemplate(templateName, context);
+					}.bind(this));
+				}
+
+				loading.catch(function() {});
+			}
+
+			try {
+				context.fail(`Template "${templateName}" does not exist`, templateName);
+
+			} catch(/*LateRenderError*/error) {
+				throw locateRenderError(error, context);
+			}
+
+			return '';
+		}
+
+		return this.renderTemplate(templateName, context);
+	};
+
+	/**
+	 * Render cached template with context. Template that extends layout collects its blocks and renders layout
+	 * instead so that layout blocks render most derived block content.
+	 * @param {string} name
+	 * @param {Context} context Context that has template set to given template
+	 * @returns {string}
+	 */
+	Writer.prototype.renderTemplate = function(name, context) {
+		const data = this.cache[name];
+
+		const layoutToken = findToken(data.tokens, 'extends');
+
+		if (layoutToken === undefined) {
+			return this.renderTokens(data.tokens, context);
+		}
+
+		const layout = templateNameOf(layoutToken[1], context);
+
+		if (data.blocks === undefined) {
+			data.blocks = collectBlocks(data.tokens, Object.create(null));
+		}
+
+		// Blocks of this template are overridden by blocks of templates that extend it
+		const blocks = Object.assign(Object.create(null), context.blocks);
+
+		Object.keys(data.blocks).forEach(function(block) {
+			blocks[block] = (blocks[block] || []).concat([{tokens: data.blocks[block], template: name}]);
+		});
+
+		const includes = context.include(layout);
+
+		if (includes === undefined) {
+			return '';
+		}
+
+		const layoutContext = context.derive({template: layout, blocks: blocks, includes: includes});
+
+		if (!this.exists(layout)) {
+			if (this.resolver !== undefined) {
+				return deferRender(this, context, this.resolveTemplate(layout), {
+					then: function() {
+						return this.renderTemplate(layout, layoutContext);
+					}.bind(this)
+				}, `late::extends [${layout}]`, layout);
+			}
+
+			try {
+				context.fail(`Layout "${layout}" of template "${name}" does not exist`, layout);
+
+			} catch(/*Error*/error) {
+				throw locateRenderError(error, context, layoutToken);
+			}
+
+			return '';
+		}
+
+		return this.renderTemplate(layout, layoutContext);
+	};
+
+	/**
+	 * Low-level method that renders the given array of `tokens` using
+	 * the given `context` and `partials`.
+	 *
+	 * Note: The `originalTemplate` is only ever used to extract the portion
+	 * of the original template that was contained in a higher-order section.
+	 * If the template doesn't use higher-order sections, this argument may
+	 * be omitted.
+	 * In streamed render tokens are rendered only when stream is read and Chunks of them is returned.
+	 * @param {Array} tokens
+	 * @param {Context} context
+	 * @return {string|Promise<string>|Chunks}
+	 */
+	Writer.prototype.renderTokens = function(tokens, context) {
+		let buffer = '',
+			parts;
+
+		const numTokens = tokens.length,
+			outerToken = this.token,
+			writer = this;
+
+		if (context.options.stream === true) {
+			return new Chunks(function*() {
+				for (let i = 0; i < numTokens; ++i) {
+					yield writer.renderToken(tokens[i], context);
+				}
+			});
+		}
+
+		for (let i = 0; i < numTokens; ++i) {
+			const handlerResponse = this.renderToken(tokens[i], context);
+
+			// Async render collects promises of handlers and joins them when all are resolved
+			if (isThenable(handlerResponse)) {
+				parts = parts || [];
+				parts.push(buffer, handlerResponse);
+				buffer = '';
+
+			// Some response that is not undefined so append to buffer
+			} else if (handlerResponse !== undefined) {
+				buffer += handlerResponse;
+			}
+		}
+
+		this.token = outerToken;
+
+		if (parts !== undefined) {
+			parts.push(buffer);
+			return concat(parts);
+		}
+
+		return buffer;
+	};
+
+	/**
+	 * Render single token with its token handler - render errors get template position of token
+	 * @param {Array} token
+	 * @param {Context} context
+	 * @returns {*} Handler response - promise is given only in async render
+	 */
+	Writer.prototype.renderToken = function(token, context) {
+		let handlerResponse, deferred;
+
+		// Check if there is token handler registered
+		if (!this.tokenHandlers[token[0]]) {
+			return;
+		}
+
+		try {
+			this.token = token;
+
+			// Custom handler joins rendered output as text so output that is not ready yet is given as placeholder
+			if (context.options.async === true && this.tokenHandlers[token[0]] !== tokenHandlers[token[0]]) {
+				deferred = [];
+				handlerResponse = this.tokenHandlers[token[0]](token, context, deferringWriter(this, deferred));
+
+				if (deferred.length > 0 && typeof handlerResponse === 'string') {
+					handlerResponse = concat(handlerResponse.split(deferredRe).map(function(part, index) {
+						return index % 2 === 1 ? deferred[part] : part;
+					}));
+				}
+
+			} else {
+				handlerResponse = this.tokenHandlers[token[0]](token, context, this);
+			}
+
+		} catch(/*Error*/error) {
+			throw locateRenderError(error, context, token);
+		}
+
+		if (isThenable(handlerResponse)) {
+			return context.options.async === true ? locateAsyncError(handlerResponse, context, token) :
+					String(handlerResponse);
+		}
+
+		return handlerResponse;
+	};
+
+	/**
+	 * Render template asynchronously - promises of helpers, lookups, promise sections and templates loaded with
+	 * resolver are awaited in place instead of rendering them later into document. Independent promises are awaited in
+	 * parallel.
+	 * @param {string} templateName
+	 * @param {Object|Context} view
+	 * @param {Object} [options] @see Writer.render
+	 * @returns {Promise<string>}
+	 */
+	Writer.prototype.renderAsync = function(templateName, view, options) {
+		const writer = this;
+
+		return new Promise(function(resolve) {
+			resolve(writer.render(templateName, view, Object.assign({}, options, {async: true})));
+		});
+	};
+
+	/**
+	 * Render template as stream of chunks that is rendered only as far as it's read. Promises are awaited like in
+	 * renderAsync.
+	 * @param {string} templateName
+	 * @param {Object|Context} view
+	 * @param {Object} [options] @see Writer.render
+	 * @param {number} [options.chunkSize=8192] Minimum length of chunk - last chunk can be shorter
+	 * @param {number} [options.timeSlice] Give event loop a turn after rendering this many milliseconds
+	 * @returns {AsyncIterator<string>} Async iterator that is also async iterable
+	 */
+	Writer.prototype.renderStream = function(templateName, view, options) {
+		const writer = this;
+
+		options = Object.assign({}, options, {async: true, stream: true});
+
+		return new ChunkReader(function() {
+			return writer.render(templateName, view, options);
+		}, options);
+	};
+
+	/**
+	 * Render template to WHATWG ReadableStream of strings. Rendering continues only when stream is pulled so
+	 * consumer controls the pace. Pipe through TextEncoderStream to get bytes.
+	 * @param {string} templateName
+	 * @param {Object|Context} view
+	 * @param {Object} [options] @see Writer.renderStream
+	 * @returns {ReadableStream}
+	 */
+	Writer.prototype.renderReadableStream = function(templateName, view, options) {
+		const scope = this.getGlobal(),
+			reader = this.renderStream(templateName, view, options);
+
+		const ReadableStream = scope.ReadableStream || root.ReadableStream;
+
+		if (ReadableStream === undefined) {
+			throw new Error(`late.js: ReadableStream is not supported`);
+		}
+
+		return new ReadableStream({
+			pull: function(controller) {
+				return reader.next().then(function(result) {
+					if (result.done) {
+						controller.close();
+
+					} else {
+						controller.enqueue(result.value);
+					}
+				});
+			},
+			cancel: function() {
+				return reader.return();
+			}
+		}, {highWaterMark: 0});
+	};
+
+	/**
+	 * Render template into element. First render replaces content of element with DocumentFragment of output and
+	 * later renders patch only changed nodes so that focus, scroll position and input state are kept. Items of
+	 * {{each items key=id}} are matched by key so that reordered rows are moved instead of recreated. Event bindings of
+	 * {{on}} tags are listened from element and listeners of previous render are replaced.
+	 * @param {Element} element
+	 * @param {string} templateName
+	 * @param {Object|Context} view
+	 * @param {Object} [options] @see Writer.render
+	 * @returns {Element|Promise<Element>} Element when it's updated - promise of it in async render
+	 */
+	Writer.prototype.renderInto = function(element, templateName, view, options) {
+		const events = [],
+			output = this.render(templateName, view, Object.assign({}, options, {markKeys: true, events: events}));
+
+		const update = function(html) {
+			const container = element.ownerDocument.createElement('template');
+
+			container.innerHTML = html;
+
+			if (mounted.has(element)) {
+				patchChildren(element, container.content);
+
+			} else {
+				element.textContent = '';
+				element.appendChild(container.content);
+				mounted.set(element, {template: templateName, events: [], listeners: Object.create(null)});
+			}
+
+			bindEvents(element, mounted.get(element), events);
+
+			return element;
+		};
+
+		return isThenable(output) ? output.then(update) : update(output);
+	};
+
+	/**
+	 * Events that don't bubble - delegated listener captures them so that they are seen at all. Other event types are
+	 * listened as bubbling so non-bubbling type missing from here reaches no handler.
+	 * @type {string[]}
+	 */
+	const capturedEvents = ['focus', 'blur', 'mouseenter', 'mouseleave', 'pointerenter', 'pointerleave', 'load',
+		'error', 'abort', 'scroll', 'scrollend', 'toggle', 'beforetoggle', 'invalid', 'cancel', 'close', 'cuechange',
+		'contentvisibilityautostatechange', 'canplay', 'canplaythrough', 'durationchange', 'emptied', 'encrypted',
+		'ended', 'loadeddata', 'loadedmetadata', 'loadstart', 'pause', 'play', 'playing', 'progress', 'ratechange',
+		'seeked', 'seeking', 'stalled', 'suspend', 'timeupdate', 'volumechange', 'waiting', 'waitingforkey'];
+
+	/**
+	 * Listen events of bindings from element with one delegated listener per event type. Listeners of event types that
+	 * are not bound anymore are removed. Bubbling events are listened when they bubble so that listeners of target and
+	 * its descendants run first and others are captured.
+	 * @param {Element} element
+	 * @param {{events: Array.<Object>, listeners: Object.<Function>}} state State of element from mounted
+	 * @param {Array.<Object>} events Event bindings of render
+	 */
+	function bindEvents(element, state, events) {
+		const types = new Set(events.map(function(binding) {
+			return binding.type;
+		}));
+
+		state.events = events;
+
+		Object.keys(state.listeners).forEach(function(type) {
+			if (!types.has(type)) {
+				element.removeEventListener(type, state.listeners[type], capturedEvents.indexOf(type) !== -1);
+				delete state.listeners[type];
+			}
+		});
+
+		types.forEach(function(type) {
+			if (state.listeners[type] === undefined) {
+				state.listeners[type] = function(event) {
+					dispatchBinding(element, state, event);
+				};
+
+				element.addEventListener(type, state.listeners[type], capturedEvents.indexOf(type) !== -1);
+			}
+		});
+	}
+
+	/**
+	 * Call handlers bound to target of event and its ancestors inside element - only target for events that don't
+	 * bubble. Stopping propagation stops calling handlers of ancestors.
+	 * @param {Element} element
+	 * @param {{events: Array.<Object>}} state
+	 * @param {Event} event
+	 */
+	function dispatchBinding(element, state, event) {
+		const attribute = `data-late-on-${event.type.toLowerCase()}`;
+		let node = event.target;
+
+		while (node !== null && node !== element) {
+			const binding = node.nodeType === 1 && node.hasAttribute(attribute) ?
+					state.events[node.getAttribute(attribute)] : undefined;
+
+			if (binding !== undefined && binding.type === event.type) {
+				try {
+					binding.fn.apply(binding.self, binding.args.concat([event, node]));
+
+				} catch(/*Error*/error) {
+					logMessage(`Event handler "${binding.name}" exception [${error.message}]`, TYPE_ERROR,
+							Object.assign({}, binding.details, {error: error}));
+				}
+			}
+
+			if (!event.bubbles || event.cancelBubble) {
+				break;
+			}
+
+			node = node.parentNode;
+		}
+	}
+
+	/**
+	 * Child nodes of parent grouped to patched units - keyed each item with its markers is one unit and every other
+	 * node is unit of its own
+	 * @param {Node} parent
+	 * @returns {Array.<{key: (string|undefined), nodes: Array.<Node>}>}
+	 */
+	function patchUnits(parent) {
+		const units = [];
+		let unit, depth = 0;
+
+		Array.prototype.forEach.call(parent.childNodes, function(node) {
+			const marker = node.nodeType === 8 ? node.nodeValue : '';
+
+			if (unit !== undefined) {
+				unit.nodes.push(node);
+
+				// Nested keyed loops can be on same level
+				if (marker.indexOf(KEY_MARKER) === 0) {
+					depth++;
+
+				} else if (marker === KEY_END && --depth === 0) {
+					unit = undefined;
+				}
+				return;
+			}
+
+			unit = {key: undefined, nodes: [node]};
+			units.push(unit);
+
+			if (marker.indexOf(KEY_MARKER) === 0) {
+				unit.key = marker.substring(KEY_MARKER.length);
+				depth = 1;
+
+			} else {
+				unit = undefined;
+			}
+		});
+
+		return units;
+	}
+
+	/**
+	 * Can node be patched to look like source node
+	 * @param {Node} node
+	 * @param {Node} source
+	 * @returns {boolean}
+	 */
+	function samePatchType(node, source) {
+		return node.nodeType === source.nodeType && node.nodeName === source.nodeName;
+	}
+
+	/**
+	 * Patch children of parent to match children of source. Keyed units are matched by key and others by order.
+	 * Nodes of source that have no match are moved to parent.
+	 * @param {Node} parent
+	 * @param {Node} source
+	 */
+	function patchChildren(parent, source) {
+		const units = patchUnits(parent),
+			keyed = new Map(),
+			unkeyed = [],
+			used = new Set();
+		let cursor = parent.firstChild,
+			position = 0;
+
+		const remove = function(node) {
+			if (node === cursor) {
+				cursor = cursor.nextSibling;
+			}
+
+			parent.removeChild(node);
+		};
+
+		units.forEach(function(unit) {
+			if (unit.key === undefined) {
+				unkeyed.push(unit);
+
+			} else if (!keyed.has(unit.key)) {
+				keyed.set(unit.key, unit);
+			}
+		});
+
+		const matches = patchUnits(source).map(function(unit) {
+			const match = unit.key === undefined ? unkeyed[position++] : keyed.get(unit.key);
+
+			keyed.delete(unit.key);
+			used.add(match);
+
+			return [unit, match];
+		});
+
+		// Nodes that are not needed anymore are removed first so that kept nodes are not moved around them
+		units.forEach(function(unit) {
+			if (!used.has(unit)) {
+				unit.nodes.forEach(remove);
+			}
+		});
+
+		matches.forEach(function(pair) {
+			const nodes = pair[1] !== undefined ? pair[1].nodes : [];
+
+			pair[0].nodes.forEach(function(sourceNode, x) {
+				let node = nodes[x];
+
+				if (node !== undefined && !samePatchType(node, sourceNode)) {
+					remove(node);
+					node = undefined;
+				}
+
+				if (node === cursor) {
+					cursor = cursor.nextSibling;
+
+				} else {
+					parent.insertBefore(node || sourceNode, cursor);
+				}
+
+				if (node !== undefined) {
+					patchNode(node, sourceNode);
+				}
+			});
+
+			nodes.slice(pair[0].nodes.length).forEach(remove);
+		});
+
+		while (cursor !== null) {
+			remove(cursor);
+		}
+	}
+
+	/**
+	 * Patch node to match source node of same type
+	 * @param {Node} node
+	 * @param {Node} source
+	 */
+	function patchNode(node, source) {
+		if (node.nodeType !== 1) {
+			if (node.nodeValue !== source.nodeValue) {
+				node.nodeValue = source.nodeValue;
+			}
+			return;
+		}
+
+		patchAttributes(node, source);
+
+		if (node.nodeName === 'TEMPLATE') {
+			patchChildren(node.content, source.content);
+
+		} else {
+			patchChildren(node, source);
+		}
+	}
+
+	/**
+	 * Form field state that follows attribute of same name when attribute is changed by render
+	 * @type {string[]}
+	 */
+	const stateAttributes = ['value', 'checked', 'selected'];
+
+	/**
+	 * Patch attributes of element to match source element
+	 * @param {Element} element
+	 * @param {Element} source
+	 */
+	function patchAttributes(element, source) {
+		const update = function(name, value) {
+			if (stateAttributes.indexOf(name) !== -1 && name in element) {
+				element[name] = name === 'value' ? (value === null ? '' : value) : value !== null;
+			}
+		};
+
+		Array.prototype.slice.call(element.attributes).forEach(function(attribute) {
+			if (!source.hasAttribute(attribute.name)) {
+				element.removeAttribute(attribute.name);
+				update(attribute.name, null);
+			}
+		});
+
+		Array.prototype.forEach.call(source.attributes, function(attribute) {
+			if (element.getAttribute(attribute.name) !== attribute.value) {
+				element.setAttribute(attribute.name, attribute.value);
+				update(attribute.name, attribute.value);
+			}
+		});
+	}
+
+	/**
+	 * Async iterator that reads rendered output in chunks. Chunks and promises of streamed render are walked in order
+	 * and next chunk is rendered only when it's requested.
+	 * @constructor
+	 * @param {Function} render Starts render and returns its output
+	 * @param {Object} options
+	 */
+	function ChunkReader(render, options) {
+		this.render = render;
+		this.stack = undefined;
+		this.chunkSize = options.chunkSize || 8192;
+		this.timeSlice = options.timeSlice;
+		this.reading = Promise.resolve();
+	}
+
+	ChunkReader.prototype[Symbol.asyncIterator] = function() {
+		return this;
+	};
+
+	/**
+	 * Render and get next chunk - calls are read one after another
+	 * @returns {Promise<{value: (string|undefined), done: boolean}>}
+	 */
+	ChunkReader.prototype.next = function() {
+		const reader = this;
+
+		this.reading = this.reading.then(function() {
+			return reader.read();
+		}, function() {
+			return reader.read();
+		});
+
+		return this.reading;
+	};
+
+	/**
+	 * Stop reading - rest of template is not rendered
+	 * @returns {Promise<{value: undefined, done: boolean}>}
+	 */
+	ChunkReader.prototype.return = function() {
+		this.stack = [];
+
+		return Promise.resolve({value: undefined, done: true});
+	};
+
+	/**
+	 * Render output until chunk is big enough or output ends
+	 * @returns {Promise<{value: (string|undefined), done: boolean}>}
+	 */
+	ChunkReader.prototype.read = function() {
+		const reader = this;
+		let buffer = '',
+			started = Date.now();
+
+		if (this.stack === undefined) {
+			this.stack = [[this.render()][Symbol.iterator]()];
+		}
+
+		const step = function() {
+			const stack = reader.stack;
+
+			while (stack.length > 0) {
+				const next = stack[stack.length - 1].next();
+
+				if (next.done) {
+					stack.pop();
+					continue;
+				}
+
+				if (next.value instanceof Chunks) {
+					stack.push(next.value.generator());
+
+				} else if (isThenable(next.value)) {
+					return next.value.then(function(value) {
+						stack.push([value][Symbol.iterator]());
+						return step();
+					});
+
+				} else if (next.value !== undefined && next.value !== null) {
+					buffer += next.value;
+				}
+
+				if (buffer.length >= reader.chunkSize) {
+					return {value: buffer, done: false};
+				}
+
+				// Time-slicing lets browser handle events and paint between long renders
+				if (reader.timeSlice !== undefined && Date.now() - started >= reader.timeSlice) {
+					return new Promise(function(resolve) {
+						setTimeout(resolve, 0);
+
+					}).then(function() {
+						started = Date.now();
+						return step();
+					});
+				}
+			}
+
+			return buffer !== '' ? {value: buffer, done: false} : {value: undefined, done: true};
+		};
+
+		return new Promise(function(resolve) {
+			resolve(step());
+		});
+	};
+
+	/**
+	 * Is value promise or other thenable
+	 * @param {*} value
+	 * @returns {boolean}
+	 */
+	function isThenable(value) {
+		return value !== null && (typeof value === 'object' || typeof value === 'function') &&
+				typeof value.then === 'function';
+	}
+
+	/**
+	 * Call callback with value - in async render promise value is resolved first and promise of result is returned
+	 * @param {Context} context
+	 * @param {*} value
+	 * @param {Function} callback
+	 * @returns {*}
+	 */
+	function when(context, value, callback) {
+		return (context.options.async === true && isThenable(value)) ? value.then(callback) : callback(value);
+	}
+
+	/**
+	 * Call callback with array of values - in async render promise values are resolved first in parallel
+	 * @param {Context} context
+	 * @param {Array} values
+	 * @param {Function} callback
+	 * @returns {*}
+	 */
+	function whenAll(context, values, callback) {
+		return (context.options.async === true && values.some(isThenable)) ? Promise.all(values).then(callback) :
+				callback(values);
+	}
+
+	/**
+	 * Join rendered parts to string - promise of string when some of parts are promises
+	 * @param {Array.<string|Promise<string>>} parts
+	 * @returns {string|Promise<string>}
+	 */
+	function concat(parts) {
+		let async = false;
+
+		for (let x = 0; x < parts.length; ++x) {
+			// Streamed parts are read in order by stream
+			if (parts[x] instanceof Chunks) {
+				return new Chunks(function*() {
+					yield* parts;
+				});
+			}
+
+			async = async || isThenable(parts[x]);
+		}
+
+		return async ? Promise.all(parts).then(function(values) {
+			return values.join('');
+		}) : parts.join('');
+	}
+
+	/**
+	 * Escape whole rendered output for escaping context - streamed output is read to string first
+	 * @param {Context} context
+	 * @param {string|Promise<string>|Chunks} output
+	 * @param {string} escapeContext
+	 * @param {Array} token Token that wrote output - messages of escaping refer to it
+	 * @returns {string|Promise<string>}
+	 */
+	function escapeRendered(context, output, escapeContext, token) {
+		const chunks = output;
+
+		if (chunks instanceof Chunks) {
+			output = new ChunkReader(function() {
+				return chunks;
+			}, {chunkSize: Infinity}).next().then(function(chunk) {
+				return chunk.value || '';
+			});
+		}
+
+		return when(context, output, function(text) {
+			context.writer.token = token;
+
+			return context.escape(text === undefined || text === null ? '' : text, escapeContext);
+		});
+	}
+
+	/**
+	 * Lazily rendered output of streamed render - generator yields strings, promises and other Chunks in output order
+	 * @constructor
+	 * @param {function(): Iterator} generator
+	 */
+	function Chunks(generator) {
+		this.generator = generator;
+	}
+
+	/**
+	 * Placeholder of deferred output inside text returned by custom token handler - noncharacters do not appear in
+	 * rendered text
+	 * @type {RegExp}
+	 */
+	const deferredRe = /\uFDD0(\d+)\uFDD1/;
+
+	/**
+	 * Writer given to custom token handler in async render - rendered output that is not ready yet or is streamed is
+	 * stored to deferred and its placeholder is returned instead of it by renderTokens and renderTemplate
+	 * @param {Writer} writer
+	 * @param {Array} deferred
+	 * @returns {Writer}
+	 */
+	function deferringWriter(writer, deferred) {
+		const methods = {};
+
+		['renderTokens', 'renderTemplate'].forEach(function(method) {
+			methods[method] = {
+				value: function() {
+					const output = writer[method].apply(writer, arguments);
+
+					if (!isThenable(output) && !(output instanceof Chunks)) {
+						return output;
+					}
+
+					deferred.push(output);
+					return `\uFDD0${deferred.length - 1}\uFDD1`;
+				}
+			};
+		});
+
+		return Object.create(writer, methods);
+	}
+
+	/**
+	 * Add template position of token to render error of async handler
+	 * @param {Promise} promise
+	 * @param {Context} context
+	 * @param {Array} token
+	 * @returns {Promise}
+	 */
+	function locateAsyncError(promise, context, token) {
+		return promise.then(undefined, function(error) {
+			throw locateRenderError(error, context, token);
+		});
+	}
+
+	/**
+	 * Layout of template is rendered by Writer.renderTemplate so tag itself writes nothing
+	 */
+	tokenHandlers.extends = function() {};
+
+	/**
+	 * Named block renders most derived content of templates that extend current layout and own content by default
+	 * @param {Array} token
+	 * @param {Context} context
+	 * @param {Writer} writer
+	 * @return {string}
+	 */
+	tokenHandlers.block = function(token, context, writer) {
+		const chain = ((context.blocks && context.blocks[blockName(token[1])]) || [])
+				.concat([{tokens: token[4], template: context.template}]);
+
+		return renderBlock(writer, context, chain, 0);
+	};
+
+	/**
+	 * Render content of block that is overridden by current block
+	 * @param {Array} token
+	 * @param {Context} context
+	 * @param {Writer} writer
+	 * @return {string|undefined}
+	 */
+	tokenHandlers.super = function(token, context, writer) {
+		if (context.superBlock === undefined) {
+			context.fail(`super used outside of overriding block`, 'super');
+			return;
+		}
+
+		return renderBlock(writer, context, context.superBlock.chain, context.superBlock.index);
+	};
+
+	/**
+	 * Render block content at index of chain - {{super}} inside it renders next content of chain
+	 * @param {Writer} writer
+	 * @param {Context} context
+	 * @param {Array.<{tokens: Array, template: string}>} chain
+	 * @param {number} index
+	 * @returns {string}
+	 */
+	function renderBlock(writer, context, chain, index) {
+		return writer.renderTokens(chain[index].tokens, context.derive({
+			template: chain[index].template,
+			superBlock: index + 1 < chain.length ? {chain: chain, index: index + 1} : undefined
+		}));
+	}
+
+	/**
+	 * Named slot content is collected by partial call so tag itself writes nothing
+	 */
+	tokenHandlers.fill = function() {};
+
+	/**
+	 * Render slot content given to partial - {{slot}} renders default slot and {{slot "name"}} named slot. Content is
+	 * rendered with context of caller.
+	 * @param {Array} token
+	 * @param {Context} context
+	 * @param {Writer} writer
+	 * @return {string|undefined}
+	 */
+	tokenHandlers.slot = function(token, context, writer) {
+		const slots = context.slots;
+
+		if (slots === undefined || slots.tokens[blockName(token[1])] === undefined) {
+			return;
+		}
+
+		return writer.renderTokens(slots.tokens[blockName(token[1])], slots.context);
+	};
+
+	/**
+	 * Slot content of partial section by slot name - {{fill "name"}} sections are named slots and rest of content is
+	 * default slot that has empty name
+	 * @param {Array} tokens
+	 * @returns {Object.<Array>}
+	 */
+	function collectSlots(tokens) {
+		const slots = Object.create(null);
+
+		slots[''] = [];
+
+		for (let x = 0; x < tokens.length; ++x) {
+			if (tokens[x][0] === 'fill') {
+				slots[blockName(tokens[x][1])] = tokens[x][4];
+
+			} else {
+				slots[''].push(tokens[x]);
+			}
+		}
+
+		return slots;
+	}
+
+	/**
+	 * Render content of promise when it settles. Rejection renders catch branch and timeout renders timedOut branch or
+	 * catch branch with timeout error - without catch branch error is render failure. Promise of content is rejected
+	 * when render option signal is aborted.
+	 * @param {Context} context
+	 * @param {Promise} promise
+	 * @param {Object} branches
+	 * @param {function(*): string} branches.then Renders resolved value of promise
+	 * @param {function(*): string} [branches.catch] Renders rejection error
+	 * @param {string} [branches.pending] Content shown until promise is settled
+	 * @param {number} [branches.timeout] Milliseconds to wait before timedOut or catch branch is rendered
+	 * @param {function(): string} [branches.timedOut] Renders timeout
+	 * @param {string} name Name of deferred render for logged messages
+	 * @param {string} path Lookup path or template name of deferred render
+	 * @returns {Promise<string>}
+	 */
+	function awaitBranches(context, promise, branches, name, path) {
+		const signal = context.options.signal;
+
+		const failed = function(error) {
+			if (branches.catch !== undefined) {
+				return branches.catch(error);
+			}
+
+			const message = error instanceof Error ? error.message : String(error);
+
+			context.fail(`${name} exception [${message}]`, path, error);
+			return '';
+		};
+
+		return new Promise(function(resolve, reject) {
+			let settled = false,
+				timer;
+
+			const abort = function() {
+				settled = true;
+				clearTimeout(timer);
+				reject(signal.reason !== undefined ? signal.reason : new Error(`${name} aborted`));
+			};
+
+			const settle = function(render) {
+				if (settled) {
+					return;
+				}
+
+				settled = true;
+				clearTimeout(timer);
+
+				if (signal !== undefined) {
+					signal.removeEventListener('abort', abort);
+				}
+
+				try {
+					resolve(render());
+
+				} catch(/*Error*/error) {
+					reject(error);
+				}
+			};
+
+			if (signal !== undefined) {
+				if (signal.aborted) {
+					abort();
+					return;
+				}
+
+				signal.addEventListener('abort', abort);
+			}
+
+			if (typeof branches.timeout === 'number') {
+				timer = setTimeout(function() {
+					settle(branches.timedOut !== undefined ? branches.timedOut : function() {
+						return failed(new LateRenderError(`${name} timed out after ${branches.timeout}ms`, path));
+					});
+				}, branches.timeout);
+			}
+
+			Promise.resolve(promise).then(function(value) {
+				settle(function() {
+					return branches.then(value);
+				});
+
+			}, function(error) {
+				settle(function() {
+					return failed(error);
+				});
+			});
+		});
+	}
+
+	/**
+	 * Render content of promise later between template placeholders that are returned now with pending content. In
+	 * async render content is awaited in place instead. Content is not rendered after render option signal is aborted
+	 * and it's left out if placeholder has been removed from document. Requires document of writer global scope.
+	 * @param {Writer} writer
+	 * @param {Context} context
+	 * @param {Promise} promise
+	 * @param {Object} branches @see awaitBranches
+	 * @param {string} name Name of deferred render for logged messages
+	 * @param {string} path Lookup path or template name of deferred render
+	 * @returns {string|Promise<string>}
+	 */
+	function deferRender(writer, context, promise, branches, name, path) {
+		const scope = writer.getGlobal(),
+			signal = context.options.signal;
+
+		if (context.options.async === true) {
+			return awaitBranches(context, promise, branches, name, path);
+		}
+
+		if (scope.document === undefined) {
+			logMessage(`${name} requires a document to render into`, TYPE_ERROR, context.details({path: path}));
+			return '';
+		}
+
+		if (signal !== undefined && signal.aborted) {
+			return branches.pending || '';
+		}
+
+		const id = promiseElementId++,
+			details = context.details({path: path});
+
+		awaitBranches(context, promise, branches, name, path).then(function(content) {
+			replacePlaceholder(scope.document, id, content);
+
+		}, function(error) {
+			if (signal === undefined || !signal.aborted) {
+				logMessage(`${name} render exception [${error.message}]`, TYPE_ERROR,
+						Object.assign({error: error}, details));
+			}
+		});
+
+		return `<template id="latePromise-${id}"></template>${branches.pending || ''}` +
+				`<template id="latePromise-${id}-end"></template>`;
+	}
+
+	/**
+	 * Replace placeholders of deferred render and content between them. Nothing is done when placeholder has been
+	 * removed from document.
+	 * @param {Document} document
+	 * @param {number} id
+	 * @param {string} content
+	 */
+	function replacePlaceholder(document, id, content) {
+		const start = document.getElementById(`latePromise-${id}`),
+			end = document.getElementById(`latePromise-${id}-end`);
+
+		if (start === null || start.parentNode === null) {
+			return;
+		}
+
+		const parent = start.parentNode,
+			container = document.createElement('template');
+
+		container.innerHTML = content;
+		parent.insertBefore(document.importNode(container.content, true), start);
+
+		// Pending content is between placeholders
+		let node = start;
+
+		while (node !== null) {
+			const next = node.nextSibling;
+
+			parent.removeChild(node);
+
+			if (end === null || end.parentNode !== parent || node === end) {
+				break;
+			}
+
+			node = next;
+		}
+	}
+
+	/**
+	 * Void function call
+	 * @param {Array} token
+	 * @param {Context} context
+	 */
+	tokenHandlers['>'] = function(token, context) {
+		context.functionCall(token[1]);
+	};
+
+	/**
+	 * Function call
+	 * @param {Array} token
+	 * @param {Context} context
+	 * @return {*}
+	 */
+	tokenHandlers['>>'] = function(token, context) {
+		return context.functionCall(token[1]);
+	};
+
+	/**
+	 * Inner template
+	 * @param {Array} token
+	 * @param {Context} context
+	 * @param {Writer} writer
+	 * @return {*}
+	 */
+	tokenHandlers['%'] = function(token, context, writer) {
+		const parts = partialRe.exec(token[1]);
+
+		/**
+		 * Check first if template name could come from data set of template and if not then use as is
+		 * @type {string}
+		 */
+		const templateName = templateNameOf(parts[1], context),
+			args = parts[2] !== '' ? context.parseArguments(parts[2]) : undefined;
+
+		// Partial with arguments sees only them
+		const isolated = args !== undefined && Object.keys(args.named).length > 0,
+			partialContext = isolated ? context.isolate(context.evaluateNamed(args.named)) : context,
+			includes = partialContext.include(templateName, isolated);
 
-		} else {
-			context = this;
+		if (includes === undefined) {
+			return;
 		}
 
-		cache = context.cache;
+		// Partial written inside attribute, style or script of caller is escaped as whole for that context
+		const escapeContext = token[6] !== undefined && token[6] !== CONTEXT_HTML ? token[6] : undefined;
+
+		// Included template does not see blocks of layout that includes it and gets content of partial section as slots
+		const render = function() {
+			return writer.renderTemplate(templateName, partialContext.derive({
+				template: templateName,
+				includes: includes,
+				escapeContext: escapeContext || partialContext.escapeContext,
+				blocks: undefined,
+				superBlock: undefined,
+				slots: token[4] !== undefined ? {context: context, tokens: collectSlots(token[4])} : undefined
+			}));
+		};
+
+		let output;
+
+		if (!writer.exists(templateName)) {
+			// Template resolver loads missing partial and it's rendered in place when loaded
+			if (writer.resolver === undefined) {
+				context.fail(`Inner token handler [%${templateName}] not found`, templateName);
+				return;
+			}
+
+			output = deferRender(writer, context, writer.resolveTemplate(templateName), {then: render},
+					`late::tokenHandler % [${templateName}]`, templateName);
 
-		// Check if item has been cached - notice that if item is a function call then it's not cached because
-		// function call context requires to be checked always and if items is in window context
-		if (cache && cache[name] !== undefined) {
-			value = cache[name];
 		} else {
-			let skipParents;
+			output = render();
+		}
 
-			// If only current scope has been requested then skip parents and remove indicator
-			if (name[0] === '$' && name[1] === '.') {
-				skipParents = true;
-				name = name.substr(2);
+		return escapeContext !== undefined ? escapeRendered(context, output, escapeContext, token) : output;
+	};
+
+	/**
+	 * each loop - iterates Arrays, typed arrays, Maps, Sets, other iterables and object keys. Loop metadata $index,
+	 * $key, $value, $first, $last, $length and $parent is given as locals so iterated data is not changed. Content
+	 * after {{else}} is rendered when there is nothing to iterate. Argument key=name gives items keys that renderInto
+	 * uses to move rows of re-rendered loop instead of recreating them.
+	 * @param {Array} token
+	 * @param {Context} context
+	 * @param {Writer} writer
+	 * @return {*}
+	 */
+	tokenHandlers.each = function(token, context, writer) {
+		const children = token[4];
+		let body = children,
+			empty = [];
+
+		for (let x = 0; x < children.length; x++) {
+			if (children[x][0] === 'else') {
+				body = children.slice(0, x);
+				empty = children.slice(x + 1);
+				break;
 			}
+		}
 
-			while (context) {
-				// Self handles this context for function calls that have depth in object tree. Otherwise prototype
-				// object calls could have incorrect this context inside function.
-				functionPath = context.view;
+		const args = context.parseArguments(token[1]);
 
-				if (name.indexOf('.') > 0) {
-					let index = 0;
-					let names = name.split('.');
+		if (args === undefined || args.positional.length === 0) {
+			return writer.renderTokens(empty, context);
+		}
 
-					value = context.view;
+		let value = context.evaluate(args.positional[0]);
 
-					while (value !== undefined && index < names.length) {
-						if (index > 0) {
-							functionPath = functionPath[names[index - 1]];
-						}
+		if (typeof value === 'function') {
+			checkSandboxCall(writer, value, token[1]);
 
-						value = value[names[index++]];
-					}
-				} else {
-					value = context.view[name];
-				}
+			// Handle function call and push it to value - response handled normally through renderTokens
+			value = value.call(context.view);
+		}
 
-				// If there is value or should skip parents then bail out
-				if (value !== undefined || skipParents) {
-					break;
-				}
+		// Keys are written as comments around items only for DOM patching
+		const key = context.options.markKeys === true && token[6] === CONTEXT_HTML ? args.named.key : undefined;
 
-				context = context.parent;
+		return when(context, value, function(value) {
+			return renderLoop(writer, context, value, body, empty, key);
+		});
+	};
 
-				// If parent context was undefined but there is a root then go there and mark that after this get out
-				// because this.root would otherwise generate loop
-				if (context === undefined && this.root !== undefined) {
-					context = this.root;
-					skipParents = true;
-				}
-			}
+	/**
+	 * Render each loop body for every item of value or empty content when there is nothing to iterate
+	 * @param {Writer} writer
+	 * @param {Context} context
+	 * @param {*} value
+	 * @param {Array} body
+	 * @param {Array} empty
+	 * @param {Object} [key] Expression tree of item key - items are wrapped in key marker comments when given
+	 * @returns {string|Promise<string>}
+	 */
+	function renderLoop(writer, context, value, body, empty, key) {
+		if (!value) {
+			return writer.renderTokens(empty, context);
 		}
 
-		if (typeof value === 'function') {
-			value = value.apply(functionPath, args || []);
-		} else {
-			if (cache !== false) {
-				cache[name] = value;
+		// this will just give simple way to access object through $ if object comes from for example function
+		if (typeof value !== 'object') {
+			return writer.renderTokens(body, context.push(value));
+		}
+
+		const entries = loopEntries(value),
+			length = entries.length,
+			keyed = entries.keyed,
+			parts = [];
+
+		if (length === 0) {
+			return writer.renderTokens(empty, context);
+		}
+
+		const iterate = function(x) {
+			const item = entries[x][1];
+
+			const iteration = context.push(item === null ? undefined : item, {
+				// Object keys have always been $index of object iteration
+				$index: keyed ? entries[x][0] : x,
+				$key: entries[x][0],
+				$value: item,
+				$first: x === 0,
+				$last: x === length - 1,
+				$length: length,
+				$parent: context.view
+			});
+
+			// Null item can't be view but {{$}} still gives it
+			if (item === null) {
+				iteration.cache.$ = null;
+			}
+
+			if (key !== undefined) {
+				return concat([keyMarker(iteration.evaluate(key)), writer.renderTokens(body, iteration),
+					`<!--${KEY_END}-->`]);
 			}
+
+			return writer.renderTokens(body, iteration);
+		};
+
+		// Streamed loop renders items only when stream gets to them
+		if (context.options.stream === true) {
+			return new Chunks(function*() {
+				for (let x = 0; x < length; ++x) {
+					yield iterate(x);
+				}
+			});
 		}
 
-		return negate ? !value : value;
-	};
+		for (let x = 0; x < length; ++x) {
+			parts.push(iterate(x));
+		}
+
+		return concat(parts);
+	}
 
 	/**
-	 * Do lookup for given name - validate first some of the javascript reserved words, numbers and then normal lookup
-	 * @param {*} name
-	 * @returns {*}
+	 * Comment that starts keyed each item - key is URI encoded so that it can't end comment
+	 * @param {*} key
+	 * @returns {string}
 	 */
-	Context.prototype.lookupWithReserved = function(name) {
-		switch(name) {
-			case undefined:
-			case 'undefined':
-				return undefined;
+	function keyMarker(key) {
+		return `<!--${KEY_MARKER}${encodeURIComponent(String(key))}-->`;
+	}
+
+	/**
+	 * Key and value pairs of iterated collection. Object keys and Map entries are keyed and other collections use
+	 * index as key.
+	 * @param {Object} value
+	 * @returns {Array.<Array>} Has keyed property when keys are not indexes
+	 */
+	function loopEntries(value) {
+		let entries;
+
+		if (Array.isArray(value) || (ArrayBuffer.isView(value) && !(value instanceof DataView))) {
+			entries = Array.prototype.map.call(value, function(item, index) {
+				return [index, item];
+			});
+
+		} else if (value instanceof Map) {
+			entries = Array.from(value.entries());
+			entries.keyed = true;
+
+		} else if (typeof value[Symbol.iterator] === 'function') {
+			entries = Array.from(value, function(item, index) {
+				return [index, item];
+			});
+
+		} else {
+			entries = Object.keys(value).map(function(key) {
+				return [key, value[key]];
+			});
+			entries.keyed = true;
+		}
 
-			case true:
-			case 'true':
-				return true;
+		return entries;
+	}
 
-			case false:
-			case 'false':
-				return false;
+	/**
+	 * Promise section renders content with resolved value when promise is settled - Array values are looped. Until
+	 * then {{pending}} branch is shown, rejection renders {{catch name}} branch where error is in name (error by
+	 * default) and {{timeout}} branch is rendered if promise is not settled in timeout=ms argument or render option
+	 * timeout.
+	 * @param {Array} token
+	 * @param {Context} context
+	 * @param {Writer} writer
+	 * @return {*}
+	 */
+	tokenHandlers.promise = function(token, context, writer) {
+		const args = context.parseArguments(token[1]);
 
-			case null:
-			case 'null':
-				return null;
+		if (args === undefined || args.positional.length === 0) {
+			return '';
 		}
 
-		// Check if number
-		if (!isNaN(name)) {
-			return parseInt(name, 10);
+		const promise = context.evaluate(args.positional[0]),
+			branches = promiseBranches(token[4]);
+
+		if (promise === null || typeof promise !== 'object' || typeof promise.then !== 'function') {
+			logMessage(`late::tokenHandler promise [${token[1]}] is not a Promise`, TYPE_ERROR,
+					context.details({path: token[1]}));
+			return '';
 		}
 
-		return this.lookup(name);
+		return deferRender(writer, context, Promise.resolve(promise), {
+			then: function(users) {
+				if (Array.isArray(users)) {
+					return concat(users.map(function(user) {
+						return writer.renderTokens(branches.then, context.push(user));
+					}));
+				}
+
+				return writer.renderTokens(branches.then, context.push(users));
+			},
+			catch: branches.catch === undefined ? undefined : function(error) {
+				const view = {};
+
+				view[branches.catchName || 'error'] = error;
+
+				return writer.renderTokens(branches.catch, context.push(view));
+			},
+			pending: branches.pending === undefined ? '' : writer.renderTokens(branches.pending, context),
+			timeout: args.named.timeout !== undefined ? context.evaluate(args.named.timeout) : context.options.timeout,
+			timedOut: branches.timeout === undefined ? undefined : function() {
+				return writer.renderTokens(branches.timeout, context);
+			}
+		}, `late::tokenHandler promise [${token[1]}]`, token[1]);
 	};
 
 	/**
-	 * Forms the given array of `tokens` into a nested tree structure where
-	 * tokens that represent a section have two additional items: 1) an array of
-	 * all tokens that appear in that section and 2) the index in the original
-	 * template that represents the end of that section.
+	 * Content of promise section by branch - content before first branch tag renders resolved value
+	 * @param {Array} tokens
+	 * @returns {{then: Array, pending: (Array|undefined), catch: (Array|undefined), catchName: (string|undefined),
+	 *     timeout: (Array|undefined)}}
 	 */
-	function nestTokens(tokens) {
-		let nestedTokens = [],
-			collector = nestedTokens,
-			sections = [],
-			i, numTokens, token, section;
+	function promiseBranches(tokens) {
+		const branches = {then: []};
+		let current = branches.then;
 
-		for (i = 0, numTokens = tokens.length; i < numTokens; ++i) {
-			token = tokens[i];
+		for (let x = 0; x < tokens.length; ++x) {
+			if (promiseBranchTypes.indexOf(tokens[x][0]) !== -1) {
+				current = branches[tokens[x][0]] = [];
+
+				if (tokens[x][0] === 'catch') {
+					branches.catchName = tokens[x][1];
+				}
 
-			if (token[0] === 'if' || token[0] === 'each' || token[0] === 'get' || token[0] === 'promise') {
-				collector.push(token);
-				sections.push(token);
-				collector = token[4] = [];
-			} else if (token[0] === '/') {
-				section = sections.pop();
-				section[5] = token[2];
-				collector = sections.length > 0 ? sections[sections.length - 1][4] : nestedTokens;
 			} else {
-				collector.push(token);
+				current.push(tokens[x]);
 			}
 		}
 
-		return nestedTokens;
+		return branches;
 	}
 
 	/**
-	 * Combines the values of consecutive text tokens in the given `tokens` array
-	 * to a single token.
+	 * Get value block and use it through #
+	 * @param {Array} token
+	 * @param {Context} context
+	 * @param {Writer} writer
+	 * @return {*}
 	 */
-	function squashTokens(tokens) {
-		let squashedTokens = [],
-			lastToken = [],
-			token, i, numTokens;
+	tokenHandlers.get = function(token, context, writer) {
+		return when(context, context.resolve(token[1]), function(value) {
+			if (!value) {
+				return;
+			}
 
-		for (i = 0, numTokens = tokens.length; i < numTokens; ++i) {
-			token = tokens[i];
+			// this will just give simple way to access object through $ if object comes from for example function
+			return writer.renderTokens(token[4], context.push(value));
+		});
+	};
 
-			if (token) {
-				if (token[0] === 'text' && lastToken[0] === 'text') {
-					lastToken[1] += token[1];
-					lastToken[3] = token[3];
-				} else {
-					squashedTokens.push(token);
-					lastToken = token;
-				}
-			}
-		}
+	/**
+	 * HTML parsing
+	 * @param {Array} token
+	 * @param {Context} context
+	 * @return {*}
+	 */
+	tokenHandlers.html = function(token, context) {
+		const scope = context.writer.getGlobal();
 
-		return squashedTokens;
-	}
+		return when(context, context.resolve(token[1]), function(value) {
+			return (scope.Element !== undefined && value instanceof scope.Element) ? value.outerHTML : value;
+		});
+	};
 
 	/**
-	 * Breaks up the given `template` string into a tree of tokens. If the `tags`
-	 * argument is given here it must be an array with two string values: the
-	 * opening and closing tags used in the template (e.g. [ "{{", "}}" ]).
-	 *
-	 * A token is an array with at least 4 elements. The first element is the
-	 * template tag symbol that was used inside the tag, e.g. "#" or "&". If the tag
-	 * did not contain a symbol (i.e. {{myValue}}) this element is "name". For
-	 * all text that appears outside a symbol this element is "text".
-	 *
-	 * The second element of a token is its "value". For template tags this is
-	 * whatever else was inside the tag besides the opening symbol. For text tokens
-	 * this is the text itself.
-	 *
-	 * The third and fourth elements of the token are the start and end indices,
-	 * respectively, of the token in the original template.
-	 *
-	 * Tokens that are the root node of a subtree contain two more elements: 1) an
-	 * array of tokens in the subtree and 2) the index in the original template at
-	 * which the closing tag for that section begins.
-	 *
-	 * @private
-	 * @param {string} name
-	 * @param {string} template
+	 * Event binding {{on "click" handler arg}} inside start tag writes data-late-on-click attribute. Delegated listener
+	 * of renderInto calls handler found from template data with arguments, event and the element. Plain render writes
+	 * nothing because there is nothing to listen.
+	 * @param {Array} token
+	 * @param {Context} context
+	 * @return {string}
 	 */
-	function parseTemplate(name, template) {
-		let sections = [],		 // Stack to hold section tokens
-			tokens = [],			 // Buffer to hold the tokens
-			start, type, value, token, openSection;
+	tokenHandlers.on = function(token, context) {
+		const args = context.parseArguments(token[1]),
+			events = context.options.events;
 
-		if (!template) {
-			return [];
+		if (args === undefined || !validEventArguments(args)) {
+			context.fail(`Invalid event binding "${token[1]}"`, token[1]);
+			return '';
 		}
 
-		let openingTagRe = new RegExp(escapeRegExp(tags[0]) + '\\s*'),
-			closingTagRe = new RegExp('\\s*' + escapeRegExp(tags[1])),
-			scanner = new Scanner(template);
+		if (events === undefined) {
+			return '';
+		}
 
-		while (!scanner.eos()) {
-			start = scanner.pos;
+		const name = args.positional[1].name,
+			handler = context.lookupHandler(name);
 
-			// Match any text between tags.
-			value = scanner.scanUntil(openingTagRe);
+		if (handler === undefined) {
+			context.fail(`Event handler "${name}" is not a function`, name);
+			return '';
+		}
 
-			if (value) {
-				tokens.push(['text', value, start, value.length]);
-				start += value.length;
-			}
+		events.push({
+			// Bound attribute is lowercase so event type is too eg. "Click" is click
+			type: String(args.positional[0].value).toLowerCase(),
+			name: name,
+			fn: handler.fn,
+			self: handler.self,
+			args: args.positional.slice(2).map(context.evaluate, context),
+			details: context.details({path: name})
+		});
 
-			// Match the opening tag - Check if there is any opening tags or is this just plain text
-			if (!scanner.scan(openingTagRe)) {
-				break;
-			}
+		return `data-late-on-${events[events.length - 1].type}="${events.length - 1}"`;
+	};
 
-			// Get the tag type.
-			type = scanner.scan(tagRe).trim() || 'name';
+	/**
+	 * if clause
+	 * @param {Array} token
+	 * @param {Context} context
+	 * @param {Writer} writer
+	 * @return {*}
+	 */
+	tokenHandlers.if = function(token, context, writer) {
+		const children = token[4];
+
+		// Branches are separated by else tokens - first branch that has true condition or is final else is rendered
+		const choose = function(condition, final, start) {
+			for (let x = start; x <= children.length; x++) {
+				if (x === children.length || children[x][0] === 'else') {
+					return when(context, final || context.resolve(condition), function(value) {
+						if (value) {
+							return writer.renderTokens(children.slice(start, x), context);
+						}
 
-			// Skip over whitespace if there is some
-			scanner.scan(whiteRe);
+						if (x < children.length) {
+							return choose(children[x][1], children[x][1] === '', x + 1);
+						}
+					});
+				}
+			}
+		};
 
-			// Get the tag value - scan until closing tag
-			value = scanner.scanUntil(closingTagRe);
+		return choose(token[1], false, 0);
+	};
+
+	/**
+	 * Name parser
+	 * @param {Array} token
+	 * @param {Context} context
+	 * @param {Writer} writer
+	 * @return {*}
+	 */
+	tokenHandlers.name = function(token, context, writer) {
+		return when(context, context.resolve(token[1]), function(value) {
+			// Missing value is error in strict render and empty otherwise
+			if (value === undefined || value === null) {
+				if (value === undefined && context.isStrict()) {
+					throw new LateRenderError(`Missing value "${token[1]}"`, token[1]);
+				}
 
-			// Match the closing tag.
-			if (!scanner.scan(closingTagRe)) {
-				consoleMessage(`Unclosed tag at ${scanner.pos}`, TYPE_ERROR, name);
+				return '';
 			}
 
-			token = [type, value.replace(/ /g, ''), start, scanner.pos];
-			tokens.push(token);
+			return context.escape(value, token[6]);
+		});
+	};
 
-			switch(type) {
-				case 'if':
-				case 'each':
-				case 'get':
-				case 'promise':
-					sections.push(token);
-					break;
+	/**
+	 * Translation {{t key name=value}} - key is message id of writer message catalog and named arguments are
+	 * interpolated to ICU message
+	 * @param {Array} token
+	 * @param {Context} context
+	 * @param {Writer} writer
+	 * @return {*}
+	 */
+	tokenHandlers.t = function(token, context, writer) {
+		const args = context.parseArguments(token[1]);
 
-				case '/':
-					// Check section nesting.
-					openSection = sections.pop();
+		if (args === undefined || args.positional.length === 0) {
+			context.fail(`late::tokenHandler t [${token[1]}] missing message key`, token[1]);
+			return '';
+		}
 
-					if (!openSection) {
-						consoleMessage(`Unopened section ${value}:${start}`, TYPE_ERROR, name);
-						consoleMessage(JSON.stringify(tokens), TYPE_DEBUG, name);
-					}
+		// Plain name is message id as is - other expressions give id from data
+		const keyNode = args.positional[0];
+		const key = String(keyNode.type === 'path' ? keyNode.name : context.evaluate(keyNode));
+		const message = writer.getMessage(key, context.getLocale());
 
-					if (openSection[0] !== value) {
-						consoleMessage(`Unclosed section ${openSection[1]}:${start}`, TYPE_ERROR, name);
-						consoleMessage(JSON.stringify(tokens), TYPE_DEBUG, name);
-					}
-					break;
+		if (message === undefined) {
+			context.fail(`late::tokenHandler t [${key}] message not found`, key);
+			return context.escape(key, token[6]);
+		}
 
-				case 'else':
-					openSection = sections[sections.length - 1];
+		try {
+			const escape = function(value) {
+				return context.escape(value, token[6]);
+			};
 
-					if (openSection[0] !== "if") {
-						consoleMessage(`Unopened if section for else ${value}:${start}`, TYPE_ERROR, name);
-						consoleMessage(JSON.stringify(tokens), TYPE_DEBUG, name);
-					}
-					break;
+			return formatMessage(parseMessage(message), context.evaluateNamed(args.named), context, escape);
 
-				default:
-					if (tagReList.indexOf(type) !== -1) {
-						token[0] = type;
-					}
-					break;
+		} catch(/*Error*/error) {
+			if (error instanceof LateRenderError || error instanceof SandboxError) {
+				throw error;
 			}
+
+			context.fail(`late::tokenHandler t [${key}] exception [${error.message}]`, key, error);
+			return context.escape(key, token[6]);
 		}
+	};
 
-		// Make sure there are no open sections when we're done.
-		openSection = sections.pop();
+	/**
+	 * Plain text
+	 * @param {Array} token
+	 * @return {*}
+	 */
+	tokenHandlers.text = function(token) {
+		return token[1];
+	};
 
-		if (openSection) {
-			consoleMessage(`Unclosed section "${openSection[1]}" at ${scanner.pos}`, TYPE_ERROR, name);
-		}
 
-		return nestTokens(squashTokens(tokens));
-	}
+	/**
+	 * Upper case filter
+	 * @param {*} value
+	 * @returns {string}
+	 */
+	filters.upper = function(value) {
+		return value === undefined || value === null ? '' : String(value).toUpperCase();
+	};
 
 	/**
-	 * A Writer knows how to take a stream of tokens and render them to a
-	 * string, given a context. It also maintains a cache of templates to
-	 * avoid the need to parse the same template twice.
-	 * @constructor
-	 * @this {Writer}
+	 * Lower case filter
+	 * @param {*} value
+	 * @returns {string}
 	 */
-	function Writer() {
-		this.current = '';
+	filters.lower = function(value) {
+		return value === undefined || value === null ? '' : String(value).toLowerCase();
+	};
 
-		/**
-		 * Cached templates
-		 * @type {Object.<{tokens: Array, template: string}|undefined>}
-		 */
-		this.cache = Object.create(null);
-	}
+	/**
+	 * Trim whitespace filter
+	 * @param {*} value
+	 * @returns {string}
+	 */
+	filters.trim = function(value) {
+		return value === undefined || value === null ? '' : String(value).trim();
+	};
 
 	/**
-	 * Clears all cached templates in this writer.
+	 * Truncate string to given length and append suffix when truncated eg. {{title | truncate:20:"…"}}
+	 * @param {*} value
+	 * @param {number} length
+	 * @param {string} [suffix='...']
+	 * @returns {string}
 	 */
-	Writer.prototype.clearCache = function() {
-		this.cache = Object.create(null);
+	filters.truncate = function(value, length, suffix) {
+		const string = value === undefined || value === null ? '' : String(value);
+
+		suffix = suffix === undefined ? '...' : String(suffix);
+
+		return string.length > length ? string.substring(0, Math.max(0, length - suffix.length)) + suffix : string;
 	};
 
 	/**
-	 * Clears all cached templates in this writer.
-	 * @param {string} name
+	 * JSON filter eg. {{data | json:2}}
+	 * @param {*} value
+	 * @param {number} [indent]
+	 * @returns {string}
 	 */
-	Writer.prototype.exists = function(name) {
-		return this.cache[name] !== undefined;
+	filters.json = function(value, indent) {
+		return JSON.stringify(value, null, indent);
 	};
 
 	/**
-	 * Get whole template data of given template name
-	 * @param {string} name
-	 * @returns {{tokens: Array, template: string}}
+	 * Fallback for undefined, null and empty string eg. {{name | default:"-"}}
+	 * @param {*} value
+	 * @param {*} fallback
+	 * @returns {*}
 	 */
-	Writer.prototype.getTemplate = function(name) {
-		if (this.cache[name] === undefined) {
-			consoleMessage(`getTemplate - Given template name does not exist: ${name}`, TYPE_ERROR, this.current);
+	filters.default = function(value, fallback) {
+		return value === undefined || value === null || value === '' ? fallback : value;
+	};
+
+	/**
+	 * Join array with separator eg. {{tags | join:", "}}
+	 * @param {*} value
+	 * @param {string} [separator=', ']
+	 * @returns {string}
+	 */
+	filters.join = function(value, separator) {
+		separator = separator === undefined ? ', ' : separator;
+
+		if (Array.isArray(value)) {
+			return value.join(separator);
 		}
 
-		return this.cache[name];
+		if (value !== undefined && value !== null && typeof value[Symbol.iterator] === 'function' &&
+				typeof value !== 'string') {
+			return Array.from(value).join(separator);
+		}
+
+		return value === undefined || value === null ? '' : String(value);
 	};
 
-	//noinspection JSUnusedGlobalSymbols
 	/**
-	 * Get tokens of named template
-	 * @param name
-	 * @returns {Array}
+	 * Length of array, string, Map, Set or count of object keys
+	 * @param {*} value
+	 * @returns {number}
 	 */
-	Writer.prototype.getTokens = function(name) {
-		if (this.cache[name] === undefined) {
-			consoleMessage(`getTokens - Given template name does not exist: ${name}`, TYPE_ERROR, this.current);
+	filters.length = function(value) {
+		if (value === undefined || value === null) {
+			return 0;
 		}
 
-		return this.cache[name].tokens;
+		if (typeof value.length === 'number') {
+			return value.length;
+		}
+
+		if (typeof value.size === 'number') {
+			return value.size;
+		}
+
+		return typeof value === 'object' ? Object.keys(value).length : 0;
 	};
 
 	/**
-	 * Get list of all templates in cache
-	 * @returns {Array}
+	 * Cached Intl formatter instances so formatting inside loops does not create new formatter every time
+	 * @type {Object.<Object>}
 	 */
-	Writer.prototype.listTemplates = function() {
-		return Object.keys(this.cache);
-	};
+	const formatterCache = Object.create(null);
 
 	/**
-	 * Parses and caches the given `template` and returns the array of tokens
-	 * that is generated from the parse.
-	 * @param {string} name
-	 * @param {string} template
+	 * Get cached Intl formatter
+	 * @param {string} type Intl constructor name eg. NumberFormat
+	 * @param {string|string[]|undefined} locale
+	 * @param {Object} [options]
+	 * @returns {Object|undefined} undefined when runtime does not have given Intl formatter
 	 */
-	Writer.prototype.parse = function(name, template) {
-		const cache = this.cache[name] = Object.create(null);
-		cache.template = template;
-		cache.tokens = parseTemplate(name, template);
-	};
+	function getFormatter(type, locale, options) {
+		const key = `${type}|${locale}|${JSON.stringify(options || {})}`;
+
+		if (formatterCache[key] === undefined) {
+			if (typeof Intl === 'undefined' || typeof Intl[type] !== 'function') {
+				return;
+			}
+
+			formatterCache[key] = new Intl[type](locale, options);
+		}
+
+		return formatterCache[key];
+	}
 
 	/**
-	 * High-level method that is used to render the given `template` with
-	 * the given `view`.
-	 *
-	 * The optional `partials` argument may be an object that contains the
-	 * names and templates of partials that are used in the template. It may
-	 * also be a function that is used to load partial templates on the fly
-	 * that takes a single argument: the name of the partial.
-	 * @param {string} templateName
-	 * @param {Object|Context} view
+	 * Locale of helper or filter call
+	 * @param {Context|*} context this of helper call
+	 * @returns {string|string[]|undefined}
 	 */
-	Writer.prototype.render = function(templateName, view) {
-		let data = this.getTemplate(templateName),
-			context = (view instanceof Context) ? view : new Context(view);
+	function localeOf(context) {
+		return context instanceof Context ? context.getLocale() : undefined;
+	}
 
-		this.current = templateName;
+	/**
+	 * Value as Date - accepts Date, timestamp and date string
+	 * @param {*} value
+	 * @returns {Date}
+	 */
+	function toDate(value) {
+		return value instanceof Date ? value : new Date(value);
+	}
+
+	/**
+	 * Locale aware number eg. {{>> number(total, 2)}} or {{total | number:2}}. Missing value gives undefined so that
+	 * {{total | number:2 | default:"-"}} works.
+	 * @param {*} value
+	 * @param {number|Object} [options] Fraction digits or Intl.NumberFormat options
+	 * @returns {string|undefined}
+	 */
+	helpers.number = function(value, options) {
+		if (value === undefined || value === null) {
+			return undefined;
+		}
+
+		if (typeof options === 'number') {
+			options = {minimumFractionDigits: options, maximumFractionDigits: options};
+		}
 
-		return this.renderTokens(data.tokens, context);
+		const formatter = getFormatter('NumberFormat', localeOf(this), options);
+
+		return formatter === undefined ? String(value) : formatter.format(value);
 	};
 
 	/**
-	 * Handle If clause multi part handling
-	 * @param {Array} parts
-	 * @param {Context} context
-	 * @returns {boolean}
+	 * Locale aware currency eg. {{price | currency:"EUR"}}
+	 * @param {*} value
+	 * @param {string} currency ISO 4217 currency code
+	 * @param {Object} [options] Intl.NumberFormat options
+	 * @returns {string|undefined} Undefined for missing value
 	 */
-	Writer.prototype.handleMultiPartIf = function(parts, context) {
-		parts[0] = context.lookupWithReserved(parts[0]);
-		parts[2] = context.lookupWithReserved(parts[2]);
+	helpers.currency = function(value, currency, options) {
+		if (value === undefined || value === null) {
+			return undefined;
+		}
 
-		switch (parts[1]) {
-			case '===':
-				return parts[0] === parts[2];
+		options = Object.assign({style: 'currency', currency: currency}, options);
 
-			case '!==':
-				return parts[0] !== parts[2];
+		const formatter = getFormatter('NumberFormat', localeOf(this), options);
 
-			case '>':
-				return parts[0] > parts[2];
+		return formatter === undefined ? `${value} ${currency}` : formatter.format(value);
+	};
 
-			case '>=':
-				return parts[0] >= parts[2];
+	/**
+	 * Locale aware date eg. {{created | date:"medium"}}
+	 * @param {Date|number|string} value
+	 * @param {string|Object} [options] Date style (short, medium, long, full) or Intl.DateTimeFormat options
+	 * @returns {string|undefined} Undefined for missing value
+	 */
+	helpers.date = function(value, options) {
+		if (value === undefined || value === null) {
+			return undefined;
+		}
 
-			case '<':
-				return parts[0] < parts[2];
+		if (typeof options === 'string') {
+			options = {dateStyle: options};
+		}
 
-			case '<=':
-				return parts[0] <= parts[2];
+		const date = toDate(value);
+		const formatter = getFormatter('DateTimeFormat', localeOf(this), options);
 
-			default:
-				let error = "template if clause " + JSON.stringify(parts) + " doesn't have valid (===, !==, >, >=, <, <=)";
-				consoleMessage(error, TYPE_ERROR, this.current);
-		}
+		return formatter === undefined ? date.toString() : formatter.format(date);
 	};
 
 	/**
-	 * Low-level method that renders the given array of `tokens` using
-	 * the given `context` and `partials`.
-	 *
-	 * Note: The `originalTemplate` is only ever used to extract the portion
-	 * of the original template that was contained in a higher-order section.
-	 * If the template doesn't use higher-order sections, this argument may
-	 * be omitted.
-	 * @param {Array} tokens
-	 * @param {Context} context
-	 * @return {string}
+	 * Relative time units and their length in seconds from largest to smallest
+	 * @type {Array.<Array>}
 	 */
-	Writer.prototype.renderTokens = function(tokens, context) {
-		let buffer = '';
+	const relativeTimeUnits = [
+		['year', 31536000],
+		['month', 2592000],
+		['week', 604800],
+		['day', 86400],
+		['hour', 3600],
+		['minute', 60],
+		['second', 1]
+	];
 
-		const numTokens = tokens.length;
-
-		for (let i = 0; i < numTokens; ++i) {
-			const token = tokens[i];
+	/**
+	 * Locale aware relative time eg. {{>> relativeTime(-3, "day")}} gives "3 days ago". Without unit value is date
+	 * that is compared to current time and best fitting unit is picked.
+	 * @param {number|Date|string} value
+	 * @param {string} [unit]
+	 * @param {Object} [options] Intl.RelativeTimeFormat options - defaults to {numeric: 'auto'}
+	 * @returns {string|undefined} Undefined for missing value
+	 */
+	helpers.relativeTime = function(value, unit, options) {
+		if (value === undefined || value === null) {
+			return undefined;
+		}
 
-			// Check if there is token handler registered
-			if (tokenHandlers[token[0]]) {
-				let handlerResponse = tokenHandlers[token[0]](token, context, this);
+		if (unit === undefined) {
+			const seconds = (toDate(value).getTime() - Date.now()) / 1000;
+			const found = relativeTimeUnits.filter(function(item) {
+				return Math.abs(seconds) >= item[1];
+			})[0] || relativeTimeUnits[relativeTimeUnits.length - 1];
 
-				// Some response that is not undefined so append to buffer
-				if (handlerResponse !== undefined) {
-					buffer += handlerResponse;
-				}
-			}
+			unit = found[0];
+			value = Math.round(seconds / found[1]);
 		}
 
-		return buffer;
+		const formatter = getFormatter('RelativeTimeFormat', localeOf(this), options || {numeric: 'auto'});
+
+		return formatter === undefined ? `${value} ${unit}` : formatter.format(value, unit);
 	};
 
-	// Default writer
-	const defaultWriter = new Writer();
+	/**
+	 * Plural category of count in current locale eg. {{if plural(count) === "one"}}
+	 * @param {number} count
+	 * @param {Object} [options] Intl.PluralRules options eg. {type: 'ordinal'}
+	 * @returns {string} zero, one, two, few, many or other
+	 */
+	helpers.plural = function(count, options) {
+		const rules = getFormatter('PluralRules', localeOf(this), options);
+
+		if (rules === undefined) {
+			return count === 1 ? 'one' : 'other';
+		}
+
+		return rules.select(count);
+	};
 
 	/**
-	 * Void function call
-	 * @param {Array} token
-	 * @param {Context} context
+	 * Locale aware list eg. {{names | list}} gives "a, b and c"
+	 * @param {Array} value
+	 * @param {string} [type='conjunction'] conjunction, disjunction or unit
+	 * @param {string} [style='long'] long, short or narrow
+	 * @returns {string}
 	 */
-	tokenHandlers['>'] = function(token, context) {
-		context.functionCall(token[1]);
+	helpers.list = function(value, type, style) {
+		const list = Array.from(value || [], String);
+		const options = {type: type || 'conjunction', style: style || 'long'};
+		const formatter = getFormatter('ListFormat', localeOf(this), options);
+
+		return formatter === undefined ? list.join(', ') : formatter.format(list);
 	};
 
+	// Intl helpers are also filters eg. {{price | currency:"EUR"}}
+	['number', 'currency', 'date', 'relativeTime', 'plural', 'list'].forEach(function(name) {
+		filters[name] = helpers[name];
+	});
+
 	/**
-	 * Function call
-	 * @param {Array} token
-	 * @param {Context} context
-	 * @return {*}
+	 * Parsed ICU messages by source
+	 * @type {Object.<Array>}
 	 */
-	tokenHandlers['>>'] = function(token, context) {
-		return context.functionCall(token[1]);
+	const messageCache = Object.create(null);
+
+	/**
+	 * Parser for ICU style messages eg. "{count, plural, =0 {No items} one {# item} other {# items}}"
+	 * Supports simple arguments {name}, {name, number, style}, {name, date, style}, plural, selectordinal and select.
+	 * @constructor
+	 * @param {string} source
+	 */
+	function MessageParser(source) {
+		this.source = source;
+		this.pos = 0;
+	}
+
+	/**
+	 * @param {string} message
+	 */
+	MessageParser.prototype.fail = function(message) {
+		throw new SyntaxError(`${message} at ${this.pos} in message "${this.source}"`);
 	};
 
 	/**
-	 * Inner template
-	 * @param {Array} token
-	 * @param {Context} context
-	 * @param {Writer} writer
-	 * @return {*}
+	 * Skip whitespace
 	 */
-	tokenHandlers['%'] = function(token, context, writer) {
-		/**
-		 * Check first if template name could come from data set of template and if not then use as is
-		 * @type {string}
-		 */
-		const templateName = context.lookup(token[1]) || token[1];
+	MessageParser.prototype.skipWhite = function() {
+		while (/\s/.test(this.source[this.pos] || '')) {
+			this.pos++;
+		}
+	};
 
-		const value = writer.getTemplate(templateName);
+	/**
+	 * Read until one of given characters and return trimmed text
+	 * @param {string} stops
+	 * @returns {string}
+	 */
+	MessageParser.prototype.readUntil = function(stops) {
+		const start = this.pos;
 
-		if (value === undefined) {
-			consoleMessage(`Inner token handler [%${templateName}] not found`, TYPE_ERROR, this.current);
-			return;
+		while (this.pos < this.source.length && stops.indexOf(this.source[this.pos]) === -1) {
+			this.pos++;
 		}
 
-		return writer.renderTokens(value.tokens, context);
+		return this.source.substring(start, this.pos).trim();
 	};
 
 	/**
-	 * each loop
-	 * @param {Array} token
-	 * @param {Context} context
-	 * @param {Writer} writer
-	 * @return {*}
+	 * Parse message parts until end of source or closing brace of sub-message
+	 * @param {boolean} inPlural # is replaced with plural value
+	 * @param {number} depth
+	 * @returns {Array}
 	 */
-	tokenHandlers.each = function(token, context, writer) {
-		let buffer = '';
+	MessageParser.prototype.parseParts = function(inPlural, depth) {
+		const parts = [];
+		let text = '';
 
-		let value = context.lookup(token[1]);
+		while (this.pos < this.source.length) {
+			const char = this.source[this.pos];
 
-		if (!value) {
-			return;
-		}
+			if (char === '}' && depth > 0) {
+				break;
+			}
 
-		if (typeof value === 'function') {
-			// Handle function call and push it to value - response handled normally through renderTokens
-			value = value.call(context.view);
+			if (char === '{' || (char === '#' && inPlural)) {
+				if (text !== '') {
+					parts.push(text);
+					text = '';
+				}
 
-			// If response is undefined then pass
-			if (value === undefined) {
-				return;
+				if (char === '#') {
+					parts.push({type: 'pound'});
+					this.pos++;
+				} else {
+					parts.push(this.parseArgument(inPlural, depth));
+				}
+
+				continue;
 			}
-		}
 
-		// If Array or object then iterate
-		if (typeof value === 'object') {
-			// Handle Array iteration
-			if (Array.isArray(value)) {
-				for (let x = 0, valueLength = value.length; x < valueLength; ++x) {
-					let apply;
+			if (char === '}') {
+				this.fail('Unopened "}"');
+			}
 
-					if (typeof value[x] === 'object') {
-						value[x].$index = x;
-						apply = value[x];
-					} else {
-						apply = {"$index": x, "$value": value[x]};
-					}
+			// Apostrophe quoting: '' is single apostrophe and '{...}' is literal text
+			if (char === "'") {
+				const next = this.source[this.pos + 1];
 
-					buffer += writer.renderTokens(token[4], context.push(apply));
+				if (next === "'") {
+					text += "'";
+					this.pos += 2;
+					continue;
 				}
-			} else {
-				const keys = Object.keys(value);
 
-				for (let x = 0, valueLength = keys.length; x < valueLength; ++x) {
-					buffer += writer.renderTokens(token[4], context.push({"$index": keys[x], "$value": value[keys[x]]}));
+				if (next === '{' || next === '}' || next === '#') {
+					const end = this.source.indexOf("'", this.pos + 1);
+
+					text += this.source.substring(this.pos + 1, end === -1 ? this.source.length : end);
+					this.pos = end === -1 ? this.source.length : end + 1;
+					continue;
 				}
 			}
 
-			return buffer;
+			text += char;
+			this.pos++;
 		}
 
-		// this will just give simple way to access object through $ if object comes from for example function
-		return writer.renderTokens(token[4], context.push(value));
+		if (text !== '') {
+			parts.push(text);
+		}
+
+		return parts;
 	};
 
 	/**
-	 * Promise handle and loop all items
-	 * @param {Array} token
-	 * @param {Context} context
-	 * @param {Writer} writer
-	 * @return {*}
+	 * Parse argument starting from opening brace
+	 * @param {boolean} inPlural
+	 * @param {number} depth
+	 * @returns {Object}
 	 */
-	tokenHandlers.promise = function(token, context, writer) {
-		const promise = context.lookup(token[1]);
+	MessageParser.prototype.parseArgument = function(inPlural, depth) {
+		this.pos++;
 
-		if (promise instanceof Promise) {
-			promise.then(function(users) {
-				let buffer = '';
+		const name = this.readUntil(',}');
+		let format, style, offset = 0;
+		const options = Object.create(null);
 
-				if (Array.isArray(users)) {
-					for (let x = 0; x < users.length; ++x) {
-						buffer += writer.renderTokens(token[4], context.push(users[x]));
+		if (name === '') {
+			this.fail('Missing argument name');
+		}
+
+		if (this.source[this.pos] === ',') {
+			this.pos++;
+			format = this.readUntil(',}');
+
+			if (this.source[this.pos] === ',') {
+				this.pos++;
+
+				if (format === 'plural' || format === 'selectordinal' || format === 'select') {
+					this.skipWhite();
+
+					if (this.source.substr(this.pos, 7) === 'offset:') {
+						this.pos += 7;
+						offset = parseFloat(this.readUntil(' \t\n{')) || 0;
 					}
 
-				} else {
-					buffer += writer.renderTokens(token[4], context.push(users));
-				}
+					for (;;) {
+						this.skipWhite();
 
-				const container = document.getElementById(`latePromise-${this}`);
-				container.innerHTML = buffer;
-				container.parentNode.replaceChild(document.importNode(container.content, true), container);
+						if (this.source[this.pos] === '}' || this.pos >= this.source.length) {
+							break;
+						}
 
-			}.bind(promiseElementId)).catch(function(error) {
-				consoleMessage(`late::tokenHandler promise [${token[1]}] exception [${JSON.stringify(error)}]`, TYPE_ERROR);
-			});
+						const selector = this.readUntil(' \t\n{}');
 
-			return `<template id="latePromise-${promiseElementId++}"></template>`;
-		}
+						this.skipWhite();
 
-		consoleMessage(`late::tokenHandler promise [${token[1]}] is not a Promise`, TYPE_ERROR);
-		return '';
-	};
+						if (selector === '' || this.source[this.pos] !== '{') {
+							this.fail(`Expected sub-message for "${selector}"`);
+						}
 
-	/**
-	 * Get value block and use it through #
-	 * @param {Array} token
-	 * @param {Context} context
-	 * @param {Writer} writer
-	 * @return {*}
-	 */
-	tokenHandlers.get = function(token, context, writer) {
-		const value = context.lookup(token[1]);
+						this.pos++;
+						options[selector] = this.parseParts(format !== 'select' || inPlural, depth + 1);
 
-		if (!value) {
-			return;
+						if (this.source[this.pos] !== '}') {
+							this.fail(`Unclosed sub-message "${selector}"`);
+						}
+
+						this.pos++;
+					}
+
+					if (options.other === undefined) {
+						this.fail(`Missing "other" option in ${format}`);
+					}
+
+				} else {
+					style = this.readUntil('}');
+				}
+			}
 		}
 
-		// this will just give simple way to access object through $ if object comes from for example function
-		return writer.renderTokens(token[4], context.push(value));
+		if (this.source[this.pos] !== '}') {
+			this.fail(`Unclosed argument "${name}"`);
+		}
+
+		this.pos++;
+
+		return {type: 'argument', name: name, format: format, style: style, offset: offset, options: options};
 	};
 
 	/**
-	 * HTML parsing
-	 * @param {Array} token
-	 * @param {Context} context
-	 * @return {*}
+	 * Parse ICU message to parts. Parts are cached by message.
+	 * @param {string} message
+	 * @returns {Array}
+	 * @throws {SyntaxError}
 	 */
-	tokenHandlers.html = function(token, context) {
-		const value = context.lookup(token[1]);
+	function parseMessage(message) {
+		if (messageCache[message] === undefined) {
+			messageCache[message] = (new MessageParser(message)).parseParts(false, 0);
+		}
 
-		return value instanceof Element ? value.outerHTML : value;
-	};
+		return messageCache[message];
+	}
 
 	/**
-	 * if clause
-	 * @param {Array} token
+	 * Format parsed message parts with values. Message text is trusted markup and only values are escaped.
+	 * @param {Array} parts
+	 * @param {Object} values
 	 * @param {Context} context
-	 * @param {Writer} writer
-	 * @return {*}
+	 * @param {Function} escape
+	 * @param {number} [pluralValue] Value of innermost plural for #
+	 * @returns {string}
 	 */
-	tokenHandlers.if = function(token, context, writer) {
-		let apply = false;
+	function formatMessage(parts, values, context, escape, pluralValue) {
+		let buffer = '';
 
-		let value = token[4];
+		for (let x = 0; x < parts.length; x++) {
+			const part = parts[x];
 
-		// Split if clause by && and || tokens
-		const parts = token[1].replace(/ /g, "").split(/(&&|\|\|)/);
+			if (typeof part === 'string') {
+				buffer += part;
+				continue;
+			}
 
-		// If there is no AND or OR items in the clause then just do simple check for that value
-		if (parts.length === 1) {
-			let comp = parts[0].split(/(===|!==|==|!=|>=|<=|<|>)/);
+			if (part.type === 'pound') {
+				buffer += escape(helpers.number.call(context, pluralValue));
+				continue;
+			}
 
-			// Checking just if one value is true or false
-			if (comp.length === 1) {
-				apply = !!context.lookup(comp[0]);
+			const value = values[part.name];
 
-			} else {
-				// comparison between two values found
-				apply = writer.handleMultiPartIf(comp, context);
-			}
+			switch (part.format) {
+				case 'plural':
+				case 'selectordinal': {
+					const number = Number(value) - part.offset;
+					const exact = part.options[`=${Number(value)}`];
+					const category = helpers.plural.call(context, number,
+							part.format === 'selectordinal' ? {type: 'ordinal'} : undefined);
+					const option = exact || part.options[category] || part.options.other;
 
-		} else {
-			let x = 0;
+					buffer += formatMessage(option, values, context, escape, number);
+					break;
+				}
 
-			do {
-				if (parts[x] !== '&&' && parts[x] !== '||') {
-					let comp = parts[x].split(/(===|!==|==|!=|>=|<=|<|>)/);
+				case 'select': {
+					const option = part.options[String(value)] || part.options.other;
 
-					if (comp.length === 1) {
-						parts[x] = !!context.lookupWithReserved(comp[0]);
+					buffer += formatMessage(option, values, context, escape, pluralValue);
+					break;
+				}
 
-					} else {
-						parts[x] = writer.handleMultiPartIf(comp, context);
+				case 'number':
+					if (value !== undefined && value !== null) {
+						buffer += escape(helpers.number.call(context, value, part.style === 'percent' ? {style: 'percent'} :
+								part.style === 'integer' ? {maximumFractionDigits: 0} : undefined));
 					}
+					break;
 
-					// Check if previous is && then can parse correct value for this item by AND check
-					if (x !== 0 && parts[x - 1] === '&&') {
-						parts[x] = parts[x - 2] && parts[x];
-					}
+				case 'date':
+				case 'time': {
+					const style = part.style || 'medium';
+					const options = part.format === 'date' ? {dateStyle: style} : {timeStyle: style};
 
-					// If there is no more items and last item is true then clause is true
-					if (x === parts.length - 1) {
-						if (parts[x]) {
-							apply = true;
-							break;
-						}
+					if (value !== undefined && value !== null) {
+						buffer += escape(helpers.date.call(context, value, options));
 					}
-
-					x++;
-					continue;
+					break;
 				}
 
-				// If given position is true and next is or then clause is true
-				if (parts[x - 1] === true && parts[x] === '||') {
-					apply = true;
-					break;
+				default:
+					buffer += escape(typeof value === 'number' ? helpers.number.call(context, value) :
+							value === undefined || value === null ? '' : value);
+			}
+		}
+
+		return buffer;
+	}
+
+	/**
+	 * Locales to try for message lookup: given locales with their base language eg. fi-FI, fi
+	 * @param {string|string[]|undefined} locales
+	 * @returns {string[]}
+	 */
+	function localeCandidates(locales) {
+		const result = [];
+
+		[].concat(locales === undefined ? [] : locales).forEach(function(locale) {
+			[locale, locale.split('-')[0]].forEach(function(candidate) {
+				if (result.indexOf(candidate) === -1) {
+					result.push(candidate);
 				}
+			});
+		});
 
-				// Continue to next item
-				x++;
+		return result;
+	}
 
-			} while (x < parts.length);
-		}
+	/**
+	 * Flatten nested message catalog to dotted keys eg. {cart: {title: 'x'}} to {'cart.title': 'x'}
+	 * @param {Object} messages
+	 * @param {string} prefix
+	 * @param {Object} target
+	 * @returns {Object}
+	 */
+	function flattenMessages(messages, prefix, target) {
+		Object.keys(messages).forEach(function(key) {
+			const value = messages[key];
 
-		// Search if else token found and slice correct token set to be returned
-		for (let x = 0; x < token[4].length; x++) {
-			if (token[4][x][0] === "else") {
-				value = apply ? token[4].slice(0, x) : token[4].slice(x + 1, token[4].length);
-				apply = true;
-				break;
+			if (value !== null && typeof value === 'object') {
+				flattenMessages(value, `${prefix}${key}.`, target);
+			} else {
+				target[prefix + key] = String(value);
 			}
-		}
+		});
+
+		return target;
+	}
 
-		if (apply) {
-			return writer.renderTokens(value, context);
+	// Default writer
+	const defaultWriter = new Writer();
+
+	/**
+	 * Set/get tags to parse
+	 */
+	late.tags = {
+		get: function () {
+			return defaultWriter.getTags();
+		},
+		set: function (override) {
+			defaultWriter.setTags(override);
 		}
 	};
 
 	/**
-	 * Name parser
-	 * @param {Array} token
-	 * @param {Context} context
-	 * @return {*}
+	 * Register handler that receives every error event of parser, renders, function calls, promises and template
+	 * lookups as {level, message, template, token, error, path, diagnostic}
+	 * @param {function(lateEvent)} handler
+	 * @returns {Function} Call to remove handler
 	 */
-	tokenHandlers.name = function(token, context) {
-		let value;
+	late.onError = function(handler) {
+		if (typeof handler !== 'function') {
+			logMessage(`late::onError handler is not a function`, TYPE_ERROR);
+			return function() {};
+		}
 
-		if (token[1].indexOf('[') > 0) {
-			let parts = token[1].split(/[\[\]]/);
-			value = context.lookup(parts[0])[context.lookup(parts[1]) || parts[1]];
+		errorHandlers.push(handler);
 
-		} else {
-			value = context.lookup(token[1]);
-		}
+		return function() {
+			const index = errorHandlers.indexOf(handler);
 
-		return escapeHtml(value);
+			if (index !== -1) {
+				errorHandlers.splice(index, 1);
+			}
+		};
 	};
 
 	/**
-	 * Plain text
-	 * @param {Array} token
-	 * @return {*}
+	 * Replace console logger. Logger is function that receives events or object with debug and error methods.
+	 * Null disables logging and no argument restores console logger. Events below printDebugLevel are not logged.
+	 * @param {function(lateEvent)|{debug: function(lateEvent), error: function(lateEvent)}|null} [customLogger]
 	 */
-	tokenHandlers.text = function(token) {
-		return token[1];
-	};
+	late.setLogger = function(customLogger) {
+		if (customLogger === undefined) {
+			logger = consoleLogger;
 
+		} else if (customLogger === null || typeof customLogger === 'function') {
+			logger = customLogger;
+
+		} else if (typeof customLogger === 'object' && typeof customLogger.debug === 'function' &&
+				typeof customLogger.error === 'function') {
+			logger = function(event) {
+				customLogger[event.level](event);
+			};
+
+		} else {
+			logMessage(`late::setLogger logger is not a function or object with debug and error methods`, TYPE_ERROR);
+		}
+	};
 
 	/**
-	 * Set/get tags to parse
+	 * Set/get global scope that & lookups and parenthesis function calls resolve against. Defaults to globalThis
+	 * (window in browsers) so templates can be rendered in Node and Web Workers without a DOM.
 	 */
-	late.tags = {
-		get: function () {
-			return tags;
+	late.globalScope = {
+		get: function() {
+			return globalScope;
 		},
-		set: function (override) {
-			if (!Array.isArray(override) || override.length !== 2) {
-				consoleMessage(`Invalid tags: ${JSON.stringify(override)}`, TYPE_ERROR);
+		set: function(scope) {
+			if (scope === null || (typeof scope !== 'object' && typeof scope !== 'function')) {
+				logMessage(`Invalid global scope: ${String(scope)}`, TYPE_ERROR);
+				return;
 			}
 
-			tags = override;
+			globalScope = scope;
 		}
 	};
 
@@ -1137,16 +5981,168 @@
 	 * @param {Function} handler
 	 */
 	late.addTokenHandler = function(name, handler) {
-		if (tagReList.indexOf(name) === -1) {
-			tagReList.push(name);
-			tagRe = new RegExp(`^${tagReList.join(' |^')}|^else|^\/`, 'i');
-			tokenHandlers[name] = handler;
+		defaultWriter.addTokenHandler(name, handler);
+	};
 
-		} else {
-			consoleMessage(`late::addTokenHandler [${name}] already exists as token handler`, TYPE_ERROR);
+	/**
+	 * Register helper to default writer that templates can call with parenthesis eg. {{>> format(value)}} or through
+	 * {{&.format}}. Helpers are called with current Context as this.
+	 * @param {string} name
+	 * @param {Function} helper
+	 */
+	late.registerHelper = function(name, helper) {
+		defaultWriter.registerHelper(name, helper);
+	};
+
+	/**
+	 * Register filter to default writer that templates can use with pipe eg. {{price | currency:"EUR"}}
+	 * @param {string} name
+	 * @param {Function} filter
+	 */
+	late.registerFilter = function(name, filter) {
+		defaultWriter.registerFilter(name, filter);
+	};
+
+	/**
+	 * Set/get locale of default writer used by Intl helpers when render call does not give locale option
+	 */
+	late.locale = {
+		get: function() {
+			return defaultWriter.locale;
+		},
+		set: function(locale) {
+			defaultWriter.setLocale(locale);
+		}
+	};
+
+	/**
+	 * Add messages to catalog of default writer for {{t}} tag
+	 * @param {string} locale
+	 * @param {Object} messages
+	 */
+	late.addMessages = function(locale, messages) {
+		defaultWriter.addMessages(locale, messages);
+	};
+
+	/**
+	 * Load messages of default writer from catalog object, Promise or loader function
+	 * @param {string} locale
+	 * @param {Object|Promise|Function} source
+	 * @returns {Promise}
+	 */
+	late.loadMessages = function(locale, source) {
+		return defaultWriter.loadMessages(locale, source);
+	};
+
+	/**
+	 * Set/get fallback locales of default writer that are tried when message is missing from render locale
+	 */
+	late.fallbackLocale = {
+		get: function() {
+			return defaultWriter.fallbackLocale;
+		},
+		set: function(locale) {
+			defaultWriter.setFallbackLocale(locale);
+		}
+	};
+
+	/**
+	 * Set/get sandbox mode of default writer. When enabled parenthesis calls and & lookups resolve only against
+	 * registered helpers and anything else throws late.SandboxError. Data is read only through own properties other
+	 * than constructor, __proto__ and prototype and only registered helpers are called.
+	 */
+	late.sandbox = {
+		get: function() {
+			return defaultWriter.sandbox;
+		},
+		set: function(enabled) {
+			defaultWriter.setSandbox(enabled);
+		}
+	};
+
+	/**
+	 * Set/get maximum depth of included templates and layouts of default writer. Deeper include and including same
+	 * template again with same data are refused.
+	 */
+	late.maxDepth = {
+		get: function() {
+			return defaultWriter.maxDepth;
+		},
+		set: function(depth) {
+			defaultWriter.setMaxDepth(depth);
+		}
+	};
+
+	/**
+	 * Error thrown by sandboxed writer
+	 * @type {Function}
+	 */
+	late.SandboxError = SandboxError;
+
+	/**
+	 * Error thrown by strict parse - diagnostics property has all found problems
+	 * @type {Function}
+	 */
+	late.LateParseError = LateParseError;
+
+	/**
+	 * Error thrown by strict render
+	 * @type {Function}
+	 */
+	late.LateRenderError = LateRenderError;
+
+	/**
+	 * Set/get function of default writer that loads missing templates by name - returns template source or Promise
+	 * of it. Missing {{% partial}} is rendered in place when it's loaded.
+	 */
+	late.resolver = {
+		get: function() {
+			return defaultWriter.resolver;
+		},
+		set: function(resolver) {
+			defaultWriter.setResolver(resolver);
 		}
 	};
 
+	/**
+	 * Get template from default writer cache or load and parse it with resolver
+	 * @param {string} name
+	 * @returns {Promise<{tokens: Array, template: string}>}
+	 */
+	late.resolveTemplate = function(name) {
+		return defaultWriter.resolveTemplate(name);
+	};
+
+	/**
+	 * Parse templates of <script type="text/x-late"> and <template data-late> elements to default writer
+	 * @param {Document|Element} [root]
+	 * @param {Object} [options] Parse options
+	 * @returns {string[]}
+	 */
+	late.loadFromDocument = function(root, options) {
+		return defaultWriter.loadFromDocument(root, options);
+	};
+
+	/**
+	 * Parse template files of directory tree to default writer (Node.js only)
+	 * @param {string} directory
+	 * @param {Object} [options] Parse options and extensions
+	 * @returns {string[]}
+	 */
+	late.loadDirectory = function(directory, options) {
+		return defaultWriter.loadDirectory(directory, options);
+	};
+
+	/**
+	 * Create independent environment that has own template cache, tags, token handlers, helpers and escape function.
+	 * Returned Writer has same parse and render methods as late.
+	 * @param {Object} [options] @see Writer
+	 * @return {Writer}
+	 */
+	late.createEnvironment = function(options) {
+		return new Writer(options);
+	};
+
 	/**
 	 * Clears all cached templates in the default writer.
 	 */
@@ -1173,30 +6169,121 @@
 
 	/**
 	 * Parses and caches the given template in the default writer and returns the
-	 * array of tokens it contains. Doing this ahead of time avoids the need to
+	 * list of diagnostics found from it. Doing this ahead of time avoids the need to
 	 * parse templates on the fly as they are rendered.
 	 * @param {string} name
 	 * @param {string} template
+	 * @param {Object} [options]
+	 * @param {string} [options.whitespace] 'preserve' keeps template text exactly as authored
+	 * @param {boolean} [options.strict] Throw LateParseError when template has errors
+	 * @returns {Array.<Object>} @see Writer.parse
+	 */
+	late.parse = function(name, template, options) {
+		return defaultWriter.parse(name, template, options);
+	};
+
+	/**
+	 * Parse templates with default writer and serialize them to versioned bundle for late.load
+	 * @param {Object.<string>} [templates] Template sources by name - defaults to all cached templates
+	 * @param {Object} [options] @see Writer.precompile
+	 * @returns {string|Object}
+	 */
+	late.precompile = function(templates, options) {
+		return defaultWriter.precompile(templates, options);
+	};
+
+	/**
+	 * Add precompiled bundle to default writer cache
+	 * @param {Object|string} bundle
+	 * @returns {string[]}
+	 */
+	late.load = function(bundle) {
+		return defaultWriter.load(bundle);
+	};
+
+	/**
+	 * Render template of default writer asynchronously - promises of helpers, lookups, {{promise}} sections and
+	 * templates loaded with resolver are awaited in place
+	 * @param {string} name
+	 * @param {Object} [view]
+	 * @param {Object} [options] @see Writer.render
+	 * @returns {Promise<string>}
+	 */
+	late.renderAsync = function(name, view, options) {
+		return defaultWriter.renderAsync(name, view, options);
+	};
+
+	/**
+	 * Render template of default writer as async iterator of chunks - rendering continues as chunks are read
+	 * @param {string} name
+	 * @param {Object} [view]
+	 * @param {Object} [options] @see Writer.renderStream
+	 * @returns {AsyncIterator<string>}
+	 */
+	late.renderStream = function(name, view, options) {
+		return defaultWriter.renderStream(name, view, options);
+	};
+
+	/**
+	 * Render template of default writer to WHATWG ReadableStream of strings
+	 * @param {string} name
+	 * @param {Object} [view]
+	 * @param {Object} [options] @see Writer.renderStream
+	 * @returns {ReadableStream}
+	 */
+	late.renderReadableStream = function(name, view, options) {
+		return defaultWriter.renderReadableStream(name, view, options);
+	};
+
+	/**
+	 * Render template of default writer into element patching only changed nodes on re-render
+	 * @param {Element} element
+	 * @param {string} name
+	 * @param {Object} [view]
+	 * @param {Object} [options] @see Writer.render
+	 * @returns {Element|Promise<Element>}
 	 */
-	late.parse = function(name, template) {
-		return defaultWriter.parse(name, template);
+	late.renderInto = function(element, name, view, options) {
+		return defaultWriter.renderInto(element, name, view, options);
 	};
 
 	/**
-	 * Renders the `template` with the given `view` and `partials` using the
+	 * Renders the `template` with the given `view` and render `options` using the
 	 * default writer.
 	 * @param {string} [name]
 	 * @param {Object} [view]
+	 * @param {Object} [options] @see Writer.render
 	 */
-	late.render = function(name, view) {
-		return defaultWriter.render(name, view);
+	late.render = function(name, view, options) {
+		return defaultWriter.render(name, view, options);
 	};
 
 	/**
-	 * Export the escaping function so that the user may override it.
+	 * Export the escaping function so that the user may override it. Setting it replaces HTML escape function of
+	 * default writer.
 	 * @function
  	 */
-	late.escape = escapeHtml;
+	Object.defineProperty(late, 'escape', {
+		enumerable: true,
+		get: function() {
+			return defaultWriter.escape;
+		},
+		set: function(escape) {
+			defaultWriter.setEscape(escape);
+		}
+	});
+
+	/**
+	 * Set/get output mode of default writer: html, text, json or csv
+	 */
+	late.mode = {
+		get: function() {
+			return defaultWriter.mode;
+		},
+		set: function(mode) {
+			defaultWriter.setMode(mode);
+		}
+	};
 
 	/**
 	 * get array length in template where required object comes from function
@@ -1249,10 +6336,6 @@
 		return context;
 	};
 
-	/**
-	 * Set late.js public object to window late namespace
-	 * @global late
-	 */
-	window.late = late;
-}(window));
+	return late;
+}));
 